@@ -0,0 +1,304 @@
+#!/usr/bin/env node
+const path = require('path');
+const util = require('util');
+const logger = require('../src/logger.js');
+const package = require('../package.json');
+
+// The exit codes of the command line interface
+const exitCodes = { success: 0, failure: 1, usage: 2 };
+const defaultFileName = 'simple.min.json';
+
+// The options which are available for every command
+const globalOptions = {
+    'data-dir': { type: 'string', default: 'data' },
+    'out-dir': { type: 'string', default: 'release' },
+    quiet: { type: 'boolean', short: 'q', default: false },
+    json: { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false },
+};
+
+// The options of the commands which build or convert the dictionary
+const outputOptions = {
+    profile: { type: 'string' },
+    lang: { type: 'string' },
+    romaji: { type: 'boolean', default: false },
+    'no-gzip': { type: 'boolean', default: false },
+    brotli: { type: 'boolean', default: false },
+    deflate: { type: 'boolean', default: false },
+    shards: { type: 'boolean', default: false },
+    common: { type: 'boolean', default: false },
+    'include-tag': { type: 'string', multiple: true },
+    'exclude-tag': { type: 'string', multiple: true },
+    'max-reading-length': { type: 'string' },
+    allowlist: { type: 'string' },
+};
+// The usage of the output options
+const outputUsage = '[--profile simple|extended] [--lang <lang>] [--romaji] [--no-gzip] [--brotli] [--deflate] [--shards] '
+    + '[--common] [--include-tag <tag>]... [--exclude-tag <tag>]... [--max-reading-length <n>] [--allowlist <file>]';
+
+/**
+ * The available commands. Each command resolves to a result object with a `success` property, which is printed
+ * as JSON with the `--json` option. The optional `format()` function returns the human-readable output of a result.
+ */
+const commands = {
+    build: {
+        title: 'Building the release of',
+        usage: `build [--tag <tag>] [--source <source>] [--force] ${outputUsage}`,
+        options: {
+            ...outputOptions,
+            tag: { type: 'string' },
+            source: { type: 'string' },
+            force: { type: 'boolean', default: false },
+        },
+        run: async (values, positionals, dirs) => {
+            const { build } = require('../src/build.js');
+            const filterOptions = getFilterOptions(values);
+            if (filterOptions === null) return { success: false };
+            return build(values.tag || positionals[0], {
+                profile: values.profile,
+                lang: values.lang,
+                source: values.source,
+                romaji: values.romaji,
+                force: values.force,
+                gzip: values['no-gzip'] === false,
+                brotli: values.brotli,
+                deflate: values.deflate,
+                shards: values.shards,
+                ...filterOptions,
+                ...dirs,
+            });
+        },
+    },
+    update: {
+        title: 'Updating the source dictionary for',
+        usage: 'update [--tag <tag>] [--lang <lang>] [--source <source>]',
+        options: {
+            tag: { type: 'string' },
+            lang: { type: 'string' },
+            source: { type: 'string' },
+        },
+        run: async (values, positionals, dirs) => {
+            const { update } = require('../src/update.js');
+            return update(values.tag || positionals[0], { lang: values.lang, source: values.source, dataDir: dirs.dataDir });
+        },
+    },
+    convert: {
+        title: 'Converting source dictionary to',
+        usage: `convert <file> ${outputUsage}`,
+        options: outputOptions,
+        run: async (values, positionals, dirs) => {
+            const { convert } = require('../src/convert.js');
+            const filterOptions = getFilterOptions(values);
+            if (filterOptions === null) return { success: false };
+            return convert(positionals[0], {
+                profile: values.profile,
+                lang: values.lang,
+                romaji: values.romaji,
+                gzip: values['no-gzip'] === false,
+                brotli: values.brotli,
+                deflate: values.deflate,
+                shards: values.shards,
+                ...filterOptions,
+                ...dirs,
+            });
+        },
+    },
+    lookup: {
+        title: 'Looking up the dictionary of',
+        usage: 'lookup <text> [--file <path>] [--prefix | --reverse | --romaji] [--limit <n>]',
+        options: {
+            file: { type: 'string' },
+            prefix: { type: 'boolean', default: false },
+            reverse: { type: 'boolean', default: false },
+            romaji: { type: 'boolean', default: false },
+            limit: { type: 'string', default: '10' },
+        },
+        run: async (values, positionals, dirs) => {
+            const { load } = require('../src/lookup.js');
+            const text = positionals[0];
+            if (typeof text !== 'string' || text.length === 0) {
+                logger.error('Please provide the text to look up!');
+                return { success: false };
+            }
+            const dictionary = await load(values.file || path.join(dirs.outDir, defaultFileName));
+            if (dictionary === null) return { success: false };
+            let results;
+            if (values.prefix) results = dictionary.search(text, Number(values.limit) || 10);
+            else if (values.reverse) results = dictionary.reverseLookup(text);
+            else if (values.romaji) results = dictionary.romajiLookup(text);
+            else {
+                const entry = dictionary.lookup(text);
+                results = (entry === null) ? [] : [{ hiragana: text, ...entry }];
+            }
+            if (results.length === 0) logger.error(`No entries were found for "${text}".`);
+            return { success: results.length > 0, results };
+        },
+        format: (result) => JSON.stringify(result.results, null, 2),
+    },
+    diff: {
+        title: 'Comparing two versions of',
+        usage: 'diff <old file> <new file> | diff --tag <old tag> --tag <new tag> [--lang <lang>] [--profile simple|extended] [--source <source>] [--out <file>] [--limit <n>]',
+        options: {
+            tag: { type: 'string', multiple: true },
+            lang: { type: 'string' },
+            profile: { type: 'string' },
+            source: { type: 'string' },
+            out: { type: 'string' },
+            limit: { type: 'string', default: '20' },
+        },
+        run: async (values, positionals, dirs) => {
+            const fs = require('fs');
+            const { diffFiles, diffTags } = require('../src/diff.js');
+            const report = (Array.isArray(values.tag))
+                ? await diffTags(values.tag[0], values.tag[1], { ...values, dataDir: dirs.dataDir })
+                : await diffFiles(positionals[0], positionals[1]);
+            if (report === null) return { success: false };
+            if (values.out) {
+                fs.writeFileSync(values.out, JSON.stringify(report, null, 2), 'utf8');
+                logger.info(`The diff report was saved to: "${values.out}"`);
+            }
+            return { success: true, report, limit: Number(values.limit) };
+        },
+        format: (result) => {
+            const { formatReport } = require('../src/diff.js');
+            return formatReport(result.report, result.limit);
+        },
+    },
+    serve: {
+        title: 'Serving the dictionary of',
+        usage: 'serve [--file <path>] [--port <port>] [--host <host>]',
+        options: {
+            file: { type: 'string' },
+            port: { type: 'string', default: '3000' },
+            host: { type: 'string', default: 'localhost' },
+        },
+        run: async (values, positionals, dirs) => {
+            const { serve } = require('../src/serve.js');
+            const filePath = values.file || positionals[0] || path.join(dirs.outDir, defaultFileName);
+            const server = await serve(filePath, { port: Number(values.port), host: values.host });
+            if (server === null) return { success: false };
+            return { success: true, url: `http://${values.host}:${server.address().port}/` };
+        },
+    },
+    benchmark: {
+        title: 'Benchmarking the conversion of',
+        usage: 'benchmark <file>',
+        options: {},
+        run: async (values, positionals, dirs) => {
+            const { benchmark } = require('../src/benchmark.js');
+            return { success: await benchmark(positionals[0], { dataDir: dirs.dataDir }) };
+        },
+    },
+};
+
+/**
+ * Runs the command line interface.
+ * @param {string[]} args The command line arguments without the node executable and the script path.
+ * @return {Promise<number>} Returns a promise which resolves to the exit code.
+ */
+async function main(args) {
+    const name = args[0];
+    if (name === undefined || name === '--help' || name === '-h') {
+        process.stdout.write(getUsage());
+        return (name === undefined) ? exitCodes.usage : exitCodes.success;
+    }
+    if (name === '--version' || name === '-v') {
+        process.stdout.write(package.version + '\n');
+        return exitCodes.success;
+    }
+    if (Object.prototype.hasOwnProperty.call(commands, name) === false) {
+        process.stderr.write(`Unknown command "${name}".\n\n` + getUsage());
+        return exitCodes.usage;
+    }
+    const command = commands[name];
+    let parsed;
+    try {
+        parsed = util.parseArgs({ args: args.slice(1), options: { ...globalOptions, ...command.options }, allowPositionals: true });
+    } catch (error) {
+        process.stderr.write(`${error.message}\n\nUsage: ${package.name} ${command.usage}\n`);
+        return exitCodes.usage;
+    }
+    const { values, positionals } = parsed;
+    if (values.help) {
+        process.stdout.write(`Usage: ${package.name} ${command.usage}\n`);
+        return exitCodes.success;
+    }
+    logger.configure({ quiet: values.quiet, json: values.json });
+    if (values.quiet === false && values.json === false) {
+        logger.info('*******************************************************************************');
+        logger.info(`${command.title} "${package.name}"`);
+        logger.info(`Version: ${package.version}`);
+        logger.info('*******************************************************************************');
+    }
+    const dirs = { dataDir: path.resolve(values['data-dir']), outDir: path.resolve(values['out-dir']) };
+    let result;
+    try {
+        result = await command.run(values, positionals, dirs);
+    } catch (error) {
+        logger.error('Unhandled error:', error);
+        result = { success: false };
+    }
+    if (values.json) {
+        process.stdout.write(JSON.stringify({ command: name, ...result }) + '\n');
+    } else if (result.success && typeof command.format === 'function') {
+        process.stdout.write(command.format(result) + '\n');
+    } else if (result.success) {
+        logger.info(`The ${name} command was successful.`);
+    } else {
+        logger.error(`The ${name} command failed.`);
+    }
+    return result.success ? exitCodes.success : exitCodes.failure;
+}
+
+/**
+ * Returns the filter options of the `build` and `convert` commands.
+ * @param {Object} values The parsed command line options.
+ * @return {Object|null} Returns the filter options, see `FilterOptions` in `src/filter.js`, or null if the allowlist
+ * can not be read.
+ */
+function getFilterOptions(values) {
+    const { readWordList } = require('../src/filter.js');
+    const options = {
+        commonOnly: values.common,
+        tags: values['include-tag'],
+        excludeTags: values['exclude-tag'],
+        maxReadingLength: (values['max-reading-length'] === undefined) ? undefined : Number(values['max-reading-length']),
+    };
+    if (values.allowlist !== undefined) {
+        try {
+            options.allowlist = readWordList(values.allowlist);
+        } catch (error) {
+            logger.error(`Error reading the allowlist "${values.allowlist}":`, error.message);
+            return null;
+        }
+    }
+    return options;
+}
+
+/**
+ * Returns the usage of the command line interface.
+ * @return {string}
+ */
+function getUsage() {
+    const lines = [
+        `Usage: ${package.name} <command> [options]`,
+        '',
+        'Commands:',
+        ...Object.values(commands).map(command => `  ${command.usage}`),
+        '',
+        'Options of all commands:',
+        '  --data-dir <dir>   The folder of the source dictionaries (default "./data")',
+        '  --out-dir <dir>    The folder of the release files (default "./release")',
+        '  -q, --quiet        Only prints errors',
+        '  --json             Prints the result as JSON to stdout and the log messages as JSON lines to stderr',
+        '  -h, --help         Prints the usage',
+        '',
+        `Exit codes: ${exitCodes.success} on success, ${exitCodes.failure} on failure and ${exitCodes.usage} on invalid arguments.`,
+        '',
+    ];
+    return lines.join('\n');
+}
+
+main(process.argv.slice(2)).then(exitCode => {
+    process.exitCode = exitCode;
+});
@@ -0,0 +1,127 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { createSimpleDictionary } = require('./convert.js');
+const { toHiragana, toKatakana } = require('./kana.js');
+const { hashFile } = require('./update.js');
+const logger = require('./logger.js');
+const package = require('../package.json');
+
+const dataFolder = '../data';
+const modes = ['in-memory', 'streaming'];
+
+/**
+ * Compares the memory usage and the duration of an in-memory conversion with the streaming conversion of the simple
+ * profile and verifies that both create byte-identical output, so the streaming reader does not change the result.
+ * Each conversion runs in a separate process, so the peak memory of one does not affect the other.
+ * @param {string} fileName The file name of the JSON file in the data folder.
+ * @param {Object} [options] The benchmark options.
+ * @param {string} [options.dataDir] The folder of the source dictionary. Default is the `data` folder of this package.
+ * @return {Promise<boolean>} Returns a promise which resolves true if both outputs are identical, otherwise false.
+ */
+async function benchmark(fileName, options = {}) {
+    if (typeof fileName !== 'string' || fileName.length === 0) {
+        logger.error('Please provide a valid filename to benchmark!');
+        return false;
+    }
+    const inputFilePath = path.join(options.dataDir || path.join(__dirname, dataFolder), fileName);
+    if (fs.existsSync(inputFilePath) === false) {
+        logger.error('The input file path does not exists.');
+        return false;
+    }
+    const results = [];
+    for (const mode of modes) {
+        const outputFilePath = path.join(os.tmpdir(), `${package.name}-benchmark-${process.pid}-${mode}.json`);
+        const result = await runChild(mode, inputFilePath, outputFilePath);
+        if (result === null) return false;
+        result.hash = await hashFile(outputFilePath);
+        fs.rmSync(outputFilePath, { force: true });
+        results.push(result);
+        logger.info(`${mode.padEnd(10)} time: ${(result.time / 1000).toFixed(2)} s, peak RSS: ${(result.maxRSS / 1024).toFixed(1)} MB, output: ${result.size} bytes, ${result.hash}`);
+    }
+    const identical = results.every(result => result.hash === results[0].hash);
+    logger.info(`The outputs of the conversions are ${identical ? 'byte-identical' : 'different'}.`);
+    return identical;
+}
+
+/**
+ * Runs a single conversion in a child process.
+ * @param {string} mode The conversion mode ("in-memory" or "streaming").
+ * @param {string} inputFilePath The path of the original JMdict JSON file.
+ * @param {string} outputFilePath The path of the simplified JSON file.
+ * @return {Promise<{time: number, maxRSS: number, size: number}|null>} Returns a promise which resolves to the measurements or null.
+ */
+function runChild(mode, inputFilePath, outputFilePath) {
+    return new Promise((resolve, reject) => {
+        execFile(process.execPath, [__filename, '--child', mode, inputFilePath, outputFilePath], (error, stdout, stderr) => {
+            if (error) {
+                logger.error(`The ${mode} conversion failed:`, stderr || error);
+                return resolve(null);
+            }
+            try {
+                return resolve(JSON.parse(stdout.trim().split('\n').pop()));
+            } catch (error) {
+                logger.error(`Error parsing the measurements of the ${mode} conversion.`, error);
+                return resolve(null);
+            }
+        });
+    });
+}
+
+/**
+ * Runs a single conversion inside the child process and prints the measurements as JSON.
+ * @param {string} mode The conversion mode ("in-memory" or "streaming").
+ * @param {string} inputFilePath The path of the original JMdict JSON file.
+ * @param {string} outputFilePath The path of the simplified JSON file.
+ */
+async function child(mode, inputFilePath, outputFilePath) {
+    const start = Date.now();
+    const finalOutput = (mode === 'in-memory')
+        ? createSimpleDictionaryInMemory(inputFilePath)
+        : await createSimpleDictionary(inputFilePath);
+    if (finalOutput === null) process.exit(1);
+    const jsonString = JSON.stringify(finalOutput);
+    fs.writeFileSync(outputFilePath, jsonString, 'utf8');
+    const time = Date.now() - start;
+    console.log(JSON.stringify({ time, maxRSS: process.resourceUsage().maxRSS, size: Buffer.byteLength(jsonString) }));
+}
+
+/**
+ * Converts the source dictionary to the simple profile after reading and parsing it at once, like the conversion did
+ * before it was streamed. It applies the current conversion rules, so it is a reference for the streaming reader,
+ * not for the output of earlier versions.
+ * @param {string} inputFilePath The path of the original JMdict JSON file.
+ * @return {Object} Returns the simplified dictionary.
+ */
+function createSimpleDictionaryInMemory(inputFilePath) {
+    const jmdictData = JSON.parse(fs.readFileSync(inputFilePath, 'utf8'));
+    const h2kk = {};
+    jmdictData.words.forEach(entry => {
+        const kanjiList = (entry.kanji || []).map(k => k.text);
+        (entry.kana || []).forEach(kana => {
+            const hiragana = toHiragana(kana.text);
+            const katakana = toKatakana(hiragana);
+            if (!h2kk[hiragana]) {
+                h2kk[hiragana] = { katakana: new Set(), kanji: new Set() };
+            }
+            h2kk[hiragana].katakana.add(katakana);
+            kanjiList.forEach(kanji => h2kk[hiragana].kanji.add(kanji));
+        });
+    });
+    return {
+        version: jmdictData.version,
+        dictDate: jmdictData.dictDate,
+        words: Object.fromEntries(
+            Object.entries(h2kk).map(([key, value]) => [key, { katakana: [...value.katakana], kanji: [...value.kanji] }])
+        ),
+    };
+}
+
+// The errors of the child process are passed to the benchmark on stderr
+if (require.main === module && process.argv[2] === '--child') {
+    logger.configure({ quiet: true });
+    child(...process.argv.slice(3));
+}
+
+module.exports = { benchmark };
@@ -1,23 +1,136 @@
-const { update } = require('./update.js');
-const { convert } = require('./convert.js');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { update, resolveAsset } = require('./update.js');
+const { convert, getOutputFileName } = require('./convert.js');
+const { isUpToDate, writeManifest } = require('./manifest.js');
+const { describeFilters } = require('./filter.js');
+const logger = require('./logger.js');
 const package = require('../package.json');
 
-// Get the tag name  from the command line (index 2).
-const _tagArg = process.argv[2];
+// The folders whose files determine the output of the converter
+const converterFolders = ['../src', '../schema'];
 
 /**
- * Updates the source dictionary and builds the release.
+ * @typedef {Object} BuildResult
+ * @property {boolean} success True if the build was successful or up to date.
+ * @property {boolean} upToDate True if the build was skipped because it is up to date.
+ * @property {string} [tag] The release tag name of the source dictionary.
+ * @property {string} [asset] The file name of the source dictionary asset.
+ * @property {import('./convert.js').OutputFile[]} outputs The written outputs.
+ * @property {import('./stats.js').Stats|null} stats The statistics of the conversion.
+ * @property {string[]} warnings The warnings of the build.
+ * @property {string[]} errors The errors of the build.
  */
-async function main() {
-    console.log('*******************************************************************************');
-    console.log(`Building the release of "${package.name}"`);
-    console.log(`Version: ${package.version}`);
-    console.log('*******************************************************************************');
-    let success;
-    const filename = await update(_tagArg);
-    if (filename === null) success = false;
-    else success = await convert(filename);
-    console.log(`The build of "${package.name}" ${success ? 'was successful' : 'failed'}.`);
+
+/**
+ * Builds the release for a given release tag name, unless the build manifest shows that the release
+ * was already built from the same source asset with the same converter version, see `getConverterVersion()`.
+ * @param {string} [tag=latest] The tag name of the release.
+ * @param {Object} [options] The build options, which also accepts the callbacks of `ScopeOptions` of `logger.js`.
+ * @param {string} [options.profile=simple] The output profile ("simple" or "extended").
+ * @param {string} [options.lang=all] The language of the source dictionary asset.
+ * @param {string} [options.source] The source of the asset, see `update()`.
+ * @param {boolean} [options.romaji=false] Adds a romaji index to the output.
+ * @param {boolean} [options.force=false] Builds the release even if it is up to date.
+ * @param {string} [options.dataDir] The folder of the source dictionaries, see `update()`.
+ * @param {string} [options.outDir] The folder of the release files, see `convert()`.
+ * @param {boolean} [options.gzip=true] Creates the gz compressed version of the output.
+ * @param {number} [options.gzipLevel] The gzip compression level, see `convert()`.
+ * @param {boolean} [options.brotli=false] Creates the Brotli compressed version of the output.
+ * @param {boolean} [options.deflate=false] Creates the raw deflate compressed version of the output.
+ * @param {number} [options.deflateLevel] The raw deflate compression level, see `convert()`.
+ * @param {function(Object): boolean} [options.filter] The filter of the source entries, see `convert()`.
+ * A build with a filter is never considered up to date, since the filter can not be recorded in the manifest.
+ * @param {boolean} [options.commonOnly=false] Only keeps the common readings and kanji, see `convert()`.
+ * @param {string[]} [options.tags] Only keeps the entries with one of the tags, see `convert()`.
+ * @param {string[]} [options.excludeTags] Removes the kanji, readings and entries with the tags, see `convert()`.
+ * @param {number} [options.maxReadingLength] The maximum length of the readings, see `convert()`.
+ * @param {Iterable<string>} [options.allowlist] Only keeps the entries which contain one of the words, see `convert()`.
+ * @param {boolean} [options.shards=false] Splits the output by the first character of the keys, see `convert()`.
+ * @return {Promise<BuildResult>} Returns a promise which resolves to the result of the build.
+ */
+function build(tag = 'latest', options = {}) {
+    return logger.withScope(options, async (scope) => {
+        const result = { success: false, upToDate: false, outputs: [], stats: null, warnings: scope.warnings, errors: scope.errors };
+        const profile = options.profile || 'simple';
+        const lang = options.lang || 'all';
+        const gzip = options.gzip !== false;
+        const asset = await resolveAsset(tag, { lang, source: options.source });
+        if (asset === null) return result;
+        Object.assign(result, { tag: asset.tag, asset: asset.name });
+        const outputFileName = getOutputFileName(profile, lang);
+        const buildInfo = {
+            sourceTag: asset.tag,
+            asset: asset.name,
+            assetSize: asset.size,
+            assetDigest: asset.digest,
+            converterVersion: getConverterVersion(),
+            lang,
+            profile,
+            romaji: options.romaji === true,
+            gzip,
+            gzipLevel: options.gzipLevel ?? null,
+            brotli: options.brotli === true,
+            deflate: options.deflate === true,
+            deflateLevel: options.deflateLevel ?? null,
+            shards: options.shards === true,
+            filters: describeFilters(options),
+        };
+        const canSkip = options.force !== true && typeof options.filter !== 'function';
+        if (canSkip && (await isUpToDate(outputFileName, buildInfo, options.outDir))) {
+            logger.info(`"${outputFileName}" is up to date with release tag "${asset.tag}", nothing to do. Use --force to build anyway.`);
+            return Object.assign(result, { success: true, upToDate: true });
+        }
+        const updateResult = await update(tag, { asset, dataDir: options.dataDir });
+        if (updateResult.success === false) return result;
+        buildInfo.assetDigest = updateResult.digest;
+        const convertResult = await convert(updateResult.file, {
+            profile,
+            lang,
+            romaji: options.romaji,
+            filter: options.filter,
+            commonOnly: options.commonOnly,
+            tags: options.tags,
+            excludeTags: options.excludeTags,
+            maxReadingLength: options.maxReadingLength,
+            allowlist: options.allowlist,
+            shards: buildInfo.shards,
+            gzip,
+            gzipLevel: options.gzipLevel,
+            brotli: buildInfo.brotli,
+            deflate: buildInfo.deflate,
+            deflateLevel: options.deflateLevel,
+            dataDir: options.dataDir,
+            outDir: options.outDir,
+        });
+        Object.assign(result, { outputs: convertResult.outputs, stats: convertResult.stats });
+        if (convertResult.success === false) return result;
+        // The file names are relative to the release folder, which also contains the folder of the shards
+        const outDir = path.dirname(convertResult.outputs.find(output => output.type === 'json').path);
+        const outputs = convertResult.outputs
+            .flatMap(output => [output.path, output.checksumPath, ...(output.files || [])])
+            .filter(filePath => typeof filePath === 'string')
+            .map(filePath => path.relative(outDir, filePath));
+        result.success = await writeManifest(outputFileName, buildInfo, outputs, options.outDir);
+        return result;
+    });
+}
+
+/**
+ * Returns the version of the converter, which is the package version and a hash of the sources and schemas of the
+ * converter. So a changed converter builds the release again, even if the package version was not bumped.
+ * @return {string} Returns the version, e.g. "1.0.0+3f2a9c1b4d5e".
+ */
+function getConverterVersion() {
+    const hash = crypto.createHash('sha256');
+    converterFolders.forEach(folder => {
+        const dirPath = path.join(__dirname, folder);
+        fs.readdirSync(dirPath).sort().forEach(fileName => {
+            hash.update(fileName).update(fs.readFileSync(path.join(dirPath, fileName)));
+        });
+    });
+    return `${package.version}+${hash.digest('hex').slice(0, 12)}`;
 }
 
-main();
+module.exports = { build, getConverterVersion };
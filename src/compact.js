@@ -0,0 +1,259 @@
+/*
+ * The compact binary format of the simple dictionary, which can be queried straight from a buffer.
+ * All numbers are little endian.
+ *
+ *   magic            4 bytes   "JMDS"
+ *   format version   uint16
+ *   reserved         uint16
+ *   entry count      uint32    N
+ *   header length    uint32    H
+ *   header           H bytes   UTF-8 JSON with `version`, `dictDate` and `romajiOffset` if there is a romaji index
+ *   offset table     N uint32  Offsets of the records relative to the first record
+ *   records                    Sorted by the UTF-8 bytes of the key
+ *
+ * Each record is the hiragana key followed by the katakana and the kanji lists:
+ *
+ *   key              uint16 byte length + UTF-8 bytes
+ *   katakana         uint16 count + count × (uint16 byte length + UTF-8 bytes)
+ *   kanji            uint16 count + count × (uint16 byte length + UTF-8 bytes)
+ *
+ * The optional romaji index starts at `romajiOffset` relative to the first record:
+ *
+ *   romaji count     uint32    M
+ *   offset table     M uint32  Offsets of the romaji records relative to the first romaji record
+ *   romaji records             Sorted by the UTF-8 bytes of the romaji
+ *
+ * Each romaji record is the romaji followed by the list of its hiragana keys, encoded like the records.
+ */
+const { toKana, toLongVowelMarks } = require('./romaji.js');
+
+const magic = 'JMDS';
+const formatVersion = 1;
+const fixedHeaderLength = 16;
+
+/**
+ * Encodes the parsed output of `convert()` with the simple profile to the compact binary format.
+ * @param {Object} data The parsed simple dictionary JSON data.
+ * @return {Buffer} Returns the compact binary dictionary.
+ */
+function encode(data) {
+    const words = encodeTable(Object.entries(data.words), (entry) => [
+        encodeList(entry.katakana),
+        encodeList(entry.kanji.map(kanji => (typeof kanji === 'string') ? kanji : kanji.text)),
+    ]);
+    const headerData = { version: data.version, dictDate: data.dictDate };
+    const sections = [words.offsets, ...words.records];
+    if (data.romaji) {
+        const romaji = encodeTable(Object.entries(data.romaji), keys => [encodeList(keys)]);
+        const count = Buffer.alloc(4);
+        count.writeUInt32LE(romaji.count, 0);
+        headerData.romajiOffset = words.length;
+        sections.push(count, romaji.offsets, ...romaji.records);
+    }
+    const header = Buffer.from(JSON.stringify(headerData), 'utf8');
+    const fixedHeader = Buffer.alloc(fixedHeaderLength);
+    fixedHeader.write(magic, 0, 'ascii');
+    fixedHeader.writeUInt16LE(formatVersion, 4);
+    fixedHeader.writeUInt32LE(words.count, 8);
+    fixedHeader.writeUInt32LE(header.length, 12);
+    return Buffer.concat([fixedHeader, header, ...sections]);
+}
+
+/**
+ * Encodes a table of records, which are sorted by the UTF-8 bytes of their keys and start with the key.
+ * @param {Array<[string, *]>} entries The keys and values of the records.
+ * @param {function(*): Buffer[]} encodeValue Encodes the value of a record.
+ * @return {{count: number, offsets: Buffer, records: Buffer[], length: number}} Returns the offset table, the records
+ * and their total length in bytes.
+ */
+function encodeTable(entries, encodeValue) {
+    const sorted = entries
+        .map(([key, value]) => ({ bytes: Buffer.from(key, 'utf8'), value }))
+        .sort((a, b) => Buffer.compare(a.bytes, b.bytes));
+    const offsets = Buffer.alloc(sorted.length * 4);
+    const records = [];
+    let length = 0;
+    sorted.forEach(({ bytes, value }, index) => {
+        const record = Buffer.concat([encodeString(bytes), ...encodeValue(value)]);
+        offsets.writeUInt32LE(length, index * 4);
+        length += record.length;
+        records.push(record);
+    });
+    return { count: sorted.length, offsets, records, length };
+}
+
+/**
+ * Creates a dictionary which reads the entries straight from a compact binary buffer. Only the requested
+ * records are decoded, so the buffer does not have to be parsed before the first lookup.
+ * @param {Buffer} buffer The compact binary dictionary.
+ * @return {import('./lookup.js').Dictionary} Returns the dictionary.
+ */
+function createReader(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < fixedHeaderLength || buffer.toString('ascii', 0, 4) !== magic) {
+        throw new TypeError('The buffer does not contain a compact dictionary.');
+    }
+    const version = buffer.readUInt16LE(4);
+    if (version !== formatVersion) {
+        throw new TypeError(`The compact dictionary format version ${version} is not supported.`);
+    }
+    const count = buffer.readUInt32LE(8);
+    const headerLength = buffer.readUInt32LE(12);
+    const header = JSON.parse(buffer.toString('utf8', fixedHeaderLength, fixedHeaderLength + headerLength));
+    const words = readTable(buffer, fixedHeaderLength + headerLength, count);
+    const romajiStart = (typeof header.romajiOffset === 'number') ? words.recordsStart + header.romajiOffset : null;
+    const romajiIndex = (romajiStart === null) ? null : readTable(buffer, romajiStart + 4, buffer.readUInt32LE(romajiStart));
+    let reverseIndex = null;
+
+    const decodeRecord = (index) => {
+        const reader = words.readRecord(index);
+        const hiragana = reader.readString();
+        const katakana = reader.readList();
+        const kanji = reader.readList();
+        return { hiragana, katakana, kanji };
+    };
+
+    const lookup = (hiragana) => {
+        if (typeof hiragana !== 'string') return null;
+        const index = words.find(hiragana);
+        if (index === null) return null;
+        const { katakana, kanji } = decodeRecord(index);
+        return { katakana, kanji };
+    };
+
+    const search = (prefix, limit = 10) => {
+        if (typeof prefix !== 'string' || prefix.length === 0) return [];
+        const bytes = Buffer.from(prefix, 'utf8');
+        const results = [];
+        for (let index = words.lowerBound(bytes); index < count && results.length < limit; index++) {
+            const [start, end] = words.keyRange(index);
+            if (end - start < bytes.length || buffer.compare(bytes, 0, bytes.length, start, start + bytes.length) !== 0) break;
+            results.push(decodeRecord(index));
+        }
+        return results;
+    };
+
+    const reverseLookup = (text) => {
+        if (typeof text !== 'string' || text.length === 0) return [];
+        // The reverse index requires all records, so it is created on first use
+        if (reverseIndex === null) {
+            reverseIndex = new Map();
+            for (let index = 0; index < count; index++) {
+                const { hiragana, katakana, kanji } = decodeRecord(index);
+                [...katakana, ...kanji].forEach(spelling => {
+                    if (reverseIndex.has(spelling) === false) reverseIndex.set(spelling, []);
+                    const keys = reverseIndex.get(spelling);
+                    if (keys.includes(hiragana) === false) keys.push(hiragana);
+                });
+            }
+        }
+        return reverseIndex.has(text) ? [...reverseIndex.get(text)] : [];
+    };
+
+    const romajiLookup = (text) => {
+        if (typeof text !== 'string' || text.length === 0) return [];
+        // Use the romaji index of the dictionary if it was encoded with one
+        const romaji = (romajiIndex === null) ? null : romajiIndex.find(text.toLowerCase());
+        const indexed = (romaji === null) ? [] : romajiIndex.readRecord(romaji).skipString().readList();
+        const hiragana = toKana(text);
+        const keys = [...new Set([hiragana, ...indexed])].filter(key => words.find(key) !== null);
+        // Loanwords like コーヒー are written with repeated vowels ("koohii"), so they are found by the long vowel mark
+        if (keys.length === 0 && words.find(toLongVowelMarks(hiragana)) !== null) keys.push(toLongVowelMarks(hiragana));
+        return keys.map(key => ({ hiragana: key, ...lookup(key) }));
+    };
+
+    return {
+        version: header.version,
+        dictDate: header.dictDate,
+        size: count,
+        lookup,
+        search,
+        reverseLookup,
+        romajiLookup,
+    };
+}
+
+/**
+ * Reads a table of records, which are sorted by the UTF-8 bytes of their keys and start with the key.
+ * @param {Buffer} buffer The compact binary dictionary.
+ * @param {number} offsetTable The position of the offset table.
+ * @param {number} count The number of records.
+ * @return {Object} Returns the functions to find and read the records.
+ */
+function readTable(buffer, offsetTable, count) {
+    const recordsStart = offsetTable + count * 4;
+    const recordOffset = (index) => recordsStart + buffer.readUInt32LE(offsetTable + index * 4);
+    // Returns the start and end of the key bytes of a record
+    const keyRange = (index) => {
+        const start = recordOffset(index);
+        return [start + 2, start + 2 + buffer.readUInt16LE(start)];
+    };
+    // Returns the index of the first record whose key is not less than the given bytes
+    const lowerBound = (bytes) => {
+        let low = 0;
+        let high = count;
+        while (low < high) {
+            const middle = (low + high) >>> 1;
+            const [start, end] = keyRange(middle);
+            if (buffer.compare(bytes, 0, bytes.length, start, end) < 0) low = middle + 1;
+            else high = middle;
+        }
+        return low;
+    };
+    // Returns the index of the record with the given key or null
+    const find = (key) => {
+        const bytes = Buffer.from(key, 'utf8');
+        const index = lowerBound(bytes);
+        if (index >= count) return null;
+        const [start, end] = keyRange(index);
+        return (buffer.compare(bytes, 0, bytes.length, start, end) === 0) ? index : null;
+    };
+    // Returns a reader of the strings and lists of a record, starting with its key
+    const readRecord = (index) => {
+        let position = recordOffset(index);
+        const reader = {
+            readString: () => {
+                const length = buffer.readUInt16LE(position);
+                const text = buffer.toString('utf8', position + 2, position + 2 + length);
+                position += 2 + length;
+                return text;
+            },
+            skipString: () => {
+                position += 2 + buffer.readUInt16LE(position);
+                return reader;
+            },
+            readList: () => {
+                const length = buffer.readUInt16LE(position);
+                position += 2;
+                return Array.from({ length }, reader.readString);
+            },
+        };
+        return reader;
+    };
+    return { recordsStart, keyRange, lowerBound, find, readRecord };
+}
+
+/**
+ * Encodes a string with its byte length.
+ * @param {Buffer} bytes The UTF-8 bytes of the string.
+ * @return {Buffer}
+ */
+function encodeString(bytes) {
+    if (bytes.length > 0xFFFF) throw new RangeError('A string of the compact dictionary is too long.');
+    const length = Buffer.alloc(2);
+    length.writeUInt16LE(bytes.length, 0);
+    return Buffer.concat([length, bytes]);
+}
+
+/**
+ * Encodes a list of strings with its length.
+ * @param {string[]} list The strings.
+ * @return {Buffer}
+ */
+function encodeList(list) {
+    if (list.length > 0xFFFF) throw new RangeError('A list of the compact dictionary is too long.');
+    const length = Buffer.alloc(2);
+    length.writeUInt16LE(list.length, 0);
+    return Buffer.concat([length, ...list.map(text => encodeString(Buffer.from(text, 'utf8')))]);
+}
+
+module.exports = { encode, createReader };
@@ -1,140 +1,596 @@
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const stream = require('stream');
+const util = require('util');
 const zlib = require('zlib');
-const package = require('../package.json');
-
-// Get the data from the command line (index 2)
-const fileNameArg = process.argv[2];
+const { parser } = require('stream-json');
+const Assembler = require('stream-json/Assembler');
+const { toHiragana, toKatakana } = require('./kana.js');
+const { encode } = require('./compact.js');
+const { toRomaji } = require('./romaji.js');
+const { loadSchema, validate } = require('./schema.js');
+const { validateFilterOptions, hasFilters, createEntryFilter } = require('./filter.js');
+const { writeShards } = require('./shards.js');
+const { createStats, readStats, writeStats, printStats, writeSizes, printSizes } = require('./stats.js');
+const logger = require('./logger.js');
 
 const dataFolder = '../data';
 const releaseFolder = '../release';
-const outputFileName = 'simple.min.json';
-const createGzipVersion = true;
+// The maximum number of glosses per kanji or reading in the extended profile
+const maxGlosses = 3;
+// The gloss language of the "all" languages source dictionary
+const defaultGlossLanguage = 'eng';
+// The schema of the source dictionary and the maximum number of validation errors to print
+const sourceSchemaFileName = 'jmdict-source.schema.json';
+const maxPrintedErrors = 20;
+
+// The available output profiles
+const profiles = {
+    // Only the katakana and kanji spellings of each hiragana key
+    simple: { outputFileName: 'simple.min.json', schemaFileName: 'simple.schema.json' },
+    // Additionally the commonness, glosses and parts of speech, with the kanji sorted by commonness
+    extended: { outputFileName: 'extended.min.json', schemaFileName: 'extended.schema.json' },
+};
+const defaultProfile = 'simple';
+const defaultLanguage = 'all';
+// The descriptions of the output types for the log messages
+const outputDescriptions = {
+    json: 'simple dictionary JSON file',
+    compact: 'compact version of the simple dictionary',
+    gzip: 'gz compressed version of the simple dictionary JSON file',
+    brotli: 'Brotli compressed version of the simple dictionary JSON file',
+    deflate: 'raw deflate compressed version of the simple dictionary JSON file',
+    shards: 'index of the simple dictionary shards',
+};
+// The compressed variants of the JSON output, which are created in parallel
+const compressions = {
+    gzip: {
+        extension: '.gz',
+        compress: util.promisify(zlib.gzip),
+        getOptions: (options) => ({ level: options.gzipLevel ?? zlib.constants.Z_DEFAULT_COMPRESSION }),
+    },
+    brotli: {
+        extension: '.br',
+        compress: util.promisify(zlib.brotliCompress),
+        getOptions: (options, data) => ({
+            params: {
+                [zlib.constants.BROTLI_PARAM_MODE]: zlib.constants.BROTLI_MODE_TEXT,
+                [zlib.constants.BROTLI_PARAM_QUALITY]: zlib.constants.BROTLI_MAX_QUALITY,
+                [zlib.constants.BROTLI_PARAM_SIZE_HINT]: data.length,
+            },
+        }),
+    },
+    deflate: {
+        extension: '.deflate',
+        compress: util.promisify(zlib.deflateRaw),
+        getOptions: (options) => ({ level: options.deflateLevel ?? zlib.constants.Z_DEFAULT_COMPRESSION }),
+    },
+};
+const checksumExtension = '.sha256';
+// The number of source entries between two progress events
+const progressInterval = 1000;
 
 /**
- * Runs the convert function if the script is executed via npm run.
+ * @typedef {Object} OutputFile
+ * @property {string} type The type of the output ("json", "compact", "gzip", "brotli", "deflate", "shards", "stats" or "sizes").
+ * @property {string|null} path The path of the output file or null if it was written to a stream. For the shards it is the path of their index.
+ * @property {number} size The size of the output in bytes, for the shards the total size of the index and the shard files.
+ * @property {string[]} [files] The paths of the shard files.
+ * @property {string} [sha256] The SHA-256 checksum of the output as hex string, except for the report files.
+ * @property {string} [checksumPath] The path of the checksum file, which is compatible with `sha256sum --check`.
+ */
+
+/**
+ * @typedef {Object} ConvertResult
+ * @property {boolean} success True if the conversion was successful.
+ * @property {string} [version] The version of the source dictionary.
+ * @property {string} [dictDate] The date of the source dictionary.
+ * @property {string} [profile] The output profile.
+ * @property {string} [lang] The language of the source dictionary.
+ * @property {OutputFile[]} outputs The written outputs.
+ * @property {import('./stats.js').Stats|null} stats The statistics of the conversion.
+ * @property {string[]} warnings The warnings of the conversion.
+ * @property {string[]} errors The errors of the conversion.
  */
-function main() {
-    console.log('*******************************************************************************');
-    console.log(`Converting source dictionary to "${package.name}"`);
-    console.log(`Version: ${package.version}`);
-    console.log('*******************************************************************************');
-    convert(fileNameArg);
-}
 
 /**
  * Converts the original JMdict JSON file from the `data` folder to a simplified format.
- * @param {string} fileName The file name of the JSON file.
- * @return {Promise<boolean>} Returns a promise wich resolves true if the conversion was successful, otherwise false.
+ * @param {string|stream.Readable} input The file name of the JSON file in the data folder, the path of the JSON file
+ * or a stream of the JSON data.
+ * @param {Object} [options] The conversion options, which also accepts the callbacks of `ScopeOptions` of `logger.js`.
+ * @param {string} [options.profile=simple] The output profile ("simple" or "extended").
+ * @param {string} [options.lang] The language of the source dictionary (e.g. "eng", "ger" or "all"). If undefined the language is taken from the file name.
+ * @param {boolean} [options.romaji=false] Adds a romaji index to the output.
+ * @param {function(Object): boolean} [options.filter] Is called with each source entry, entries for which it returns false are skipped.
+ * @param {boolean} [options.commonOnly=false] Only keeps the readings and kanji spellings which are marked as common.
+ * @param {string[]} [options.tags] Only keeps the entries with one of the tags, see `FilterOptions` in `filter.js`.
+ * @param {string[]} [options.excludeTags] Removes the kanji, readings and entries with the tags, see `FilterOptions` in `filter.js`.
+ * @param {number} [options.maxReadingLength] Removes the readings which are longer than the given number of kana.
+ * @param {Iterable<string>} [options.allowlist] Only keeps the entries which contain one of the words as reading or kanji spelling.
+ * @param {string} [options.dataDir] The folder of the source dictionary. Default is the `data` folder of this package.
+ * @param {string} [options.outDir] The folder of the output files, which is created if needed. Default is the `release` folder of this package.
+ * @param {string|stream.Writable} [options.output] The path (relative to the output folder) or the stream of the JSON output.
+ * Default is the file name of the profile, e.g. "simple.min.json".
+ * @param {boolean|string|stream.Writable} [options.gzip=true] Creates a gz compressed version of the JSON output. True writes it
+ * next to the JSON output file, a path or a stream writes it there.
+ * @param {number} [options.gzipLevel] The gzip compression level from 0 to 9. Default is the zlib default level.
+ * @param {boolean|string|stream.Writable} [options.brotli=false] Creates a Brotli compressed version with the maximum quality, like `gzip`.
+ * @param {boolean|string|stream.Writable} [options.deflate=false] Creates a raw deflate compressed version, like `gzip`.
+ * @param {number} [options.deflateLevel] The raw deflate compression level from 0 to 9. Default is the zlib default level.
+ * @param {boolean|string|stream.Writable} [options.compact=true] Creates the compact binary version of the simple profile, like `gzip`.
+ * @param {boolean|string} [options.statsFile=true] Writes the statistics file, like `gzip`.
+ * @param {boolean|string} [options.sizesFile=true] Writes the size report of the outputs, like `gzip`.
+ * @param {boolean|string} [options.shards=false] Splits the output by the first character of the hiragana keys into
+ * separate files with an ``index.json``, like `gzip`. True writes them to a folder next to the JSON output, e.g. "simple.min.shards".
+ * @param {boolean} [options.checksums=true] Writes a ".sha256" checksum file next to each output file.
+ * If the JSON output is a stream, the other outputs are only created if their path or stream is given.
+ * @return {Promise<ConvertResult>} Returns a promise which resolves to the result of the conversion.
  */
-function convert(fileName) {
-    return new Promise((resolve, reject) => {
+function convert(input, options = {}) {
+    return logger.withScope(options, async (scope) => {
+        const result = { success: false, outputs: [], stats: null, warnings: scope.warnings, errors: scope.errors };
         try {
-            if (typeof fileName !== 'string' || fileName.length === 0) {
-                console.error('Please provide a valid filename to convert!');
-                return resolve(false);
+            const isStream = input instanceof stream.Readable;
+            if (isStream === false && (typeof input !== 'string' || input.length === 0)) {
+                logger.error('Please provide a valid filename to convert!');
+                return result;
+            }
+            const profile = options.profile || defaultProfile;
+            if (Object.prototype.hasOwnProperty.call(profiles, profile) === false) {
+                logger.error(`Unknown output profile "${profile}". Available profiles: ${Object.keys(profiles).join(', ')}`);
+                return result;
             }
-            console.log(`Converting source dictionary "${fileName}"`);
-            const inputFilePath = path.join(__dirname, dataFolder, fileName);
-            const outputFilePath = path.join(__dirname, releaseFolder, outputFileName);
-            const gzippedOutputFilePath = outputFilePath + '.gz';
-            if (fs.existsSync(inputFilePath) === false) {
-                console.error('The input file path does not exists.');
-                return resolve(false);
+            const lang = options.lang || (isStream ? defaultLanguage : getLanguage(input));
+            if (isValidLanguage(lang) === false) {
+                logger.error(`Please provide a valid language code instead of "${lang}"!`);
+                return result;
             }
-            if (fs.existsSync(releaseFolder === false)) {
-                console.error('The releaser folder does not exists.');
-                return resolve(false);
+            const filterErrors = validateFilterOptions(options);
+            if (filterErrors.length > 0) {
+                filterErrors.forEach(error => logger.error(error));
+                return result;
+            }
+            Object.assign(result, { profile, lang });
+            logger.info(`Converting source dictionary "${isStream ? 'stream' : input}" with the "${profile}" profile and language "${lang}"`);
+            const dataDir = options.dataDir || path.join(__dirname, dataFolder);
+            const outDir = options.outDir || path.join(__dirname, releaseFolder);
+            const inputFilePath = isStream ? null : path.resolve(dataDir, input);
+            if (isStream === false && fs.existsSync(inputFilePath) === false) {
+                logger.error('The input file path does not exists.');
+                return result;
+            }
+            const isStreamOutput = options.output instanceof stream.Writable;
+            const outputFilePath = isStreamOutput ? null : path.resolve(outDir, options.output || getOutputFileName(profile, lang));
+            // Returns the target of an optional output: a given path or stream, the default path or null if it is disabled
+            const getTarget = (value, defaultPath) => {
+                if (value === false || (value === undefined && isStreamOutput)) return null;
+                if (typeof value === 'string') return path.resolve(outDir, value);
+                if (value instanceof stream.Writable) return value;
+                return (outputFilePath === null) ? null : defaultPath;
+            };
+            const compressionTargets = Object.entries(compressions)
+                .map(([type, compression]) => {
+                    // Only the gzip version is created by default
+                    const value = (type === 'gzip') ? options[type] : (options[type] || false);
+                    return [type, getTarget(value, outputFilePath + compression.extension)];
+                })
+                .filter(([type, target]) => target !== null);
+            const compactTarget = (profile === 'simple') ? getTarget(options.compact, outputFilePath && getCompactFilePath(outputFilePath)) : null;
+            const statsFilePath = getTarget(options.statsFile, outputFilePath && getStatsFilePath(outputFilePath));
+            const sizesFilePath = getTarget(options.sizesFile, outputFilePath && getSizesFilePath(outputFilePath));
+            const shardsDirPath = (options.shards instanceof stream.Writable) ? null
+                : getTarget(options.shards || false, outputFilePath && getShardsDirPath(outputFilePath));
+            fs.mkdirSync(outDir, { recursive: true });
+            const stats = {};
+            const finalOutput = await createSimpleDictionary(isStream ? input : inputFilePath, {
+                profile,
+                lang,
+                romaji: options.romaji,
+                filter: options.filter,
+                commonOnly: options.commonOnly,
+                tags: options.tags,
+                excludeTags: options.excludeTags,
+                maxReadingLength: options.maxReadingLength,
+                allowlist: options.allowlist,
+                stats,
+            });
+            if (finalOutput === null) return result;
+            Object.assign(result, { version: finalOutput.version, dictDate: finalOutput.dictDate, stats });
+            // Validate the output before anything is written
+            const outputErrors = validate(finalOutput, loadSchema(profiles[profile].schemaFileName));
+            if (outputErrors.length > 0) {
+                printErrors(`The generated dictionary does not match the "${profile}" schema:`, outputErrors);
+                return result;
             }
-            fs.readFile(inputFilePath, 'utf8', (error, data) => {
-                if (error) {
-                    console.error('Error reading the input file:', error);
-                    return resolve(false);
+            // Compare the statistics with the previous release, whose file is overwritten afterwards
+            printStats(stats, statsFilePath ? readStats(statsFilePath) : null);
+            // Convert the final output to a JSON string
+            const jsonBuffer = Buffer.from(JSON.stringify(finalOutput), 'utf8');
+            const outputs = [['json', isStreamOutput ? options.output : outputFilePath, jsonBuffer]];
+            if (compactTarget !== null) outputs.push(['compact', compactTarget, encode(finalOutput)]);
+            // The compression runs in the thread pool of zlib, so the variants are compressed in parallel
+            const compressed = await Promise.all(compressionTargets.map(([type]) => {
+                const compression = compressions[type];
+                return compression.compress(jsonBuffer, compression.getOptions(options, jsonBuffer));
+            }));
+            compressionTargets.forEach(([type, target], index) => outputs.push([type, target, compressed[index]]));
+            for (const [type, target, data] of outputs) {
+                await writeOutput(target, data);
+                const file = { type, path: (typeof target === 'string') ? target : null, size: data.length };
+                file.sha256 = crypto.createHash('sha256').update(data).digest('hex');
+                if (file.path !== null && options.checksums !== false) {
+                    file.checksumPath = file.path + checksumExtension;
+                    fs.writeFileSync(file.checksumPath, `${file.sha256}  ${path.basename(file.path)}\n`, 'utf8');
                 }
-                // Parse the source dictionary
-                let jmdictData;
-                try {
-                    jmdictData = JSON.parse(data);
-                } catch (error) {
-                    console.error('Error parsing the source dictionary json data.', error);
-                    return resolve(false);
+                result.outputs.push(file);
+                logger.progress({ phase: 'write', ...file });
+                logger.info(`The ${outputDescriptions[type]} was ${file.path ? `saved to: "${file.path}"` : 'written to the output stream'}`);
+            }
+            if (shardsDirPath !== null) {
+                const shards = writeShards(shardsDirPath, finalOutput, profile);
+                const file = { type: 'shards', path: shards.indexPath, size: shards.size, sha256: shards.sha256, files: shards.files };
+                result.outputs.push(file);
+                logger.progress({ phase: 'write', ...file });
+                logger.info(`The ${outputDescriptions.shards} was saved to: "${file.path}" (${file.files.length} shards)`);
+            }
+            printSizes(result.outputs);
+            if (statsFilePath !== null) {
+                writeStats(statsFilePath, stats, finalOutput);
+                result.outputs.push({ type: 'stats', path: statsFilePath, size: fs.statSync(statsFilePath).size });
+            }
+            if (sizesFilePath !== null) {
+                writeSizes(sizesFilePath, result.outputs.filter(output => output.type !== 'stats'), finalOutput);
+                result.outputs.push({ type: 'sizes', path: sizesFilePath, size: fs.statSync(sizesFilePath).size });
+            }
+            result.success = true;
+        } catch (error) {
+            logger.error('Unhandled error:', error);
+        }
+        return result;
+    });
+}
+
+/**
+ * Writes an output to a file or a stream.
+ * @param {string|stream.Writable} target The path of the file or the stream.
+ * @param {Buffer} data The data to write.
+ * @return {Promise<void>} Returns a promise which resolves when the data is written, or rejects on errors.
+ */
+function writeOutput(target, data) {
+    return new Promise((resolve, reject) => {
+        if (typeof target === 'string') return fs.writeFile(target, data, error => error ? reject(error) : resolve());
+        target.once('error', reject);
+        target.end(data, () => resolve());
+    });
+}
+
+/**
+ * Creates the simplified dictionary from the original JMdict JSON file.
+ * @param {string|stream.Readable} inputFilePath The path of the original JMdict JSON file or a stream of its data.
+ * @param {Object} [options] The conversion options.
+ * @param {string} [options.profile=simple] The output profile ("simple" or "extended").
+ * @param {string} [options.lang=all] The language of the source dictionary, which selects the language of the glosses.
+ * @param {boolean} [options.romaji=false] Adds a romaji index, which maps the Hepburn romaji of each hiragana key to the keys.
+ * @param {function(Object): boolean} [options.filter] Is called with each valid source entry, entries for which it returns false are skipped.
+ * @param {boolean} [options.commonOnly=false] Only keeps common readings and kanji, see `FilterOptions` in `filter.js`.
+ * @param {string[]} [options.tags] Only keeps the entries with one of the tags.
+ * @param {string[]} [options.excludeTags] Removes the kanji, readings and entries with the tags.
+ * @param {number} [options.maxReadingLength] Removes the readings which are longer than the given number of kana.
+ * @param {Iterable<string>} [options.allowlist] Only keeps the entries which contain one of the words.
+ * @param {Object} [options.stats] If given, the statistics of the conversion are assigned to this object.
+ * @return {Promise<Object|null>} Returns a promise which resolves to the simplified dictionary or null, which is also the
+ * case if the source dictionary does not match its schema.
+ */
+async function createSimpleDictionary(inputFilePath, options = {}) {
+    const isExtended = (options.profile === 'extended');
+    const glossLanguage = (!options.lang || options.lang === defaultLanguage) ? defaultGlossLanguage : options.lang;
+    const sourceSchema = loadSchema(sourceSchemaFileName);
+    const errors = [];
+    const filterEntry = hasFilters(options) ? createEntryFilter(options) : null;
+    let index = 0;
+    let skipped = 0;
+    // Shortened key for hiragana to katakana and kanji
+    const h2kk = {}
+    // Process each word entry in the JMdict data
+    const header = await readSourceDictionary(inputFilePath, entry => {
+        // Invalid entries are collected and skipped, so all of them can be reported at once
+        const location = `words[${index++}]`;
+        const entryErrors = validate(entry, sourceSchema.definitions.word, sourceSchema, location);
+        if (entryErrors.length > 0) {
+            const id = (entry !== null && typeof entry === 'object') ? entry.id : undefined;
+            errors.push(...entryErrors.map(error => (id === undefined) ? error : `${error} (id ${id})`));
+            return;
+        }
+        if (typeof options.filter === 'function' && !options.filter(entry)) {
+            skipped++;
+            return;
+        }
+        if (filterEntry !== null) {
+            entry = filterEntry(entry);
+            if (entry === null) {
+                skipped++;
+                return;
+            }
+        }
+        const kanjiElements = entry.kanji || [];
+        const kanaElements = entry.kana || [];
+        const senses = entry.sense || [];
+        const appliesTo = (list, text) => !Array.isArray(list) || list.includes('*') || list.includes(text);
+        // Map each kana (hiragana or katakana) to the list of kanji and katakana
+        kanaElements.forEach(kana => {
+            // The reading may be written in hiragana, katakana or half-width katakana
+            const hiragana = toHiragana(kana.text);
+            const katakana = toKatakana(hiragana);
+            if (!h2kk[hiragana]) {
+                h2kk[hiragana] = { katakana: new Set(), kanji: new Map(), common: false, pos: new Set(), gloss: [] };
+            }
+            // The extended profile only contains the kanji the reading applies to, the simple profile all kanji of the entry
+            const readingKanji = isExtended ? kanjiElements.filter(kanji => appliesTo(kana.appliesToKanji, kanji.text)) : kanjiElements;
+            // Add the corresponding katakana and the kanji list
+            h2kk[hiragana].katakana.add(katakana);
+            readingKanji.forEach(kanji => {
+                if (!h2kk[hiragana].kanji.has(kanji.text)) {
+                    h2kk[hiragana].kanji.set(kanji.text, { common: false, pos: new Set(), gloss: [] });
                 }
-                // Shortened key for hiragana to katakana and kanji
-                const h2kk = {}
-                // Process each word entry in the JMdict data
-                jmdictData.words.forEach(entry => {
-                    const kanjiElements = entry.kanji || [];
-                    const kanaElements = entry.kana || [];
-                    // Gather all kanji for this entry
-                    const kanjiList = kanjiElements.map(k => k.text);
-                    // Map each kana (hiragana or katakana) to the list of kanji and katakana
-                    kanaElements.forEach(kana => {
-                        const hiragana = kana.text; // Assuming text is always hiragana in this context
-                        const katakana = kana.text.replace(/[\u3040-\u309F]/g, match => String.fromCharCode(match.charCodeAt(0) + 0x60)); // Convert hiragana to katakana
-                        if (!h2kk[hiragana]) {
-                            h2kk[hiragana] = { katakana: new Set(), kanji: new Set() };
-                        }
-                        // Add the corresponding katakana and the kanji list
-                        h2kk[hiragana].katakana.add(katakana);
-                        kanjiList.forEach(kanji => h2kk[hiragana].kanji.add(kanji));
-                    });
-                });
-                // Set version & date
-                const finalOutput = {
-                    version: jmdictData.version,
-                    dictDate: jmdictData.dictDate,
+            });
+            if (isExtended === false) return;
+            // Add the commonness, parts of speech and glosses of the senses which apply to the reading
+            const word = h2kk[hiragana];
+            const kanaSenses = senses.filter(sense => appliesTo(sense.appliesToKana, kana.text));
+            word.common = word.common || kana.common === true;
+            readingKanji.forEach(kanji => {
+                const candidate = word.kanji.get(kanji.text);
+                candidate.common = candidate.common || kanji.common === true;
+                addSenses(candidate, kanaSenses.filter(sense => appliesTo(sense.appliesToKanji, kanji.text)), glossLanguage);
+            });
+            // Readings which are used without kanji get their own glosses
+            if (kanjiElements.length === 0 || (Array.isArray(kana.appliesToKanji) && kana.appliesToKanji.length === 0)) {
+                addSenses(word, kanaSenses, glossLanguage);
+            }
+        });
+    });
+    if (header === null) return null;
+    ['version', 'dictDate'].forEach(key => errors.unshift(...validate(header[key], sourceSchema.properties[key], sourceSchema, key)));
+    if (header.entries === null) errors.unshift('The source dictionary must have a "words" array');
+    if (errors.length > 0) {
+        const name = (typeof inputFilePath === 'string') ? `"${inputFilePath}"` : 'stream';
+        printErrors(`The source dictionary ${name} does not match its schema:`, errors);
+        return null;
+    }
+    if (skipped > 0 && skipped === header.entries) logger.warn('Warning: All source entries were skipped by the filters.');
+    else if (skipped > 0) logger.info(`${skipped} of ${header.entries} source entries were skipped by the filters.`);
+    // Set version & date
+    const finalOutput = {
+        version: header.version,
+        dictDate: header.dictDate,
+    }
+    // Convert sets back to arrays and ensure all keys are present
+    finalOutput.words = Object.fromEntries(
+        Object.entries(h2kk).map(([key, value]) => [
+            key,
+            (isExtended === false)
+                ? {
+                    katakana: [...value.katakana],
+                    kanji: [...value.kanji.keys()],
                 }
-                // Convert sets back to arrays and ensure all keys are present
-                finalOutput.words = Object.fromEntries(
-                    Object.entries(h2kk).map(([key, value]) => [
-                        key,
-                        {
-                            katakana: [...value.katakana],
-                            kanji: [...value.kanji],
-                        },
-                    ])
-                );
-                // Convert the final output to a JSON string
-                const jsonString = JSON.stringify(finalOutput);
-                // Write the JSON file
-                fs.writeFile(outputFilePath, jsonString, 'utf8', (error) => {
-                    if (error) {
-                        console.error('Error writing the simple dictionary JSON file:', error);
-                        return resolve(false);
-                    }
-                    console.log(`The simple dictionary JSON file was saved to: "${outputFilePath}"`);
-                    // Create a gz version if needed
-                    if (createGzipVersion === false) return resolve(true);
-                    const gzip = zlib.createGzip();
-                    const input = fs.createReadStream(outputFilePath);
-                    const output = fs.createWriteStream(gzippedOutputFilePath);
-                    input.pipe(gzip).pipe(output).on('finish', (error) => {
-                        if (error) {
-                            console.error('Error compressing the file:', error);
-                            return resolve(false);
-                        }
-                        console.log(`The gz compressed version of the simple dictionary JSON file was saved to: "${gzippedOutputFilePath}"`);
-                        return resolve(true);
-                    });
-                });
+                : {
+                    katakana: [...value.katakana],
+                    // Common kanji first, otherwise keep the order of the source dictionary
+                    kanji: [...value.kanji.entries()]
+                        .map(([text, kanji]) => ({ text, common: kanji.common, pos: [...kanji.pos], gloss: kanji.gloss }))
+                        .sort((a, b) => Number(b.common) - Number(a.common)),
+                    common: value.common,
+                    pos: [...value.pos],
+                    gloss: value.gloss,
+                },
+        ])
+    );
+    if (options.romaji === true) {
+        finalOutput.romaji = {};
+        Object.keys(finalOutput.words).forEach(key => {
+            const romaji = toRomaji(key);
+            if (!finalOutput.romaji[romaji]) finalOutput.romaji[romaji] = [];
+            finalOutput.romaji[romaji].push(key);
+        });
+    }
+    if (options.stats) Object.assign(options.stats, createStats(finalOutput, header.entries));
+    return finalOutput;
+}
+
+/**
+ * Prints validation errors, limited to the first 20 errors.
+ * @param {string} message The message which introduces the errors.
+ * @param {string[]} errors The validation errors.
+ */
+function printErrors(message, errors) {
+    logger.error(message);
+    errors.slice(0, maxPrintedErrors).forEach(error => logger.error(`  ${error}`));
+    if (errors.length > maxPrintedErrors) logger.error(`  ... and ${errors.length - maxPrintedErrors} more errors`);
+}
+
+/**
+ * Adds the parts of speech and the glosses of the given senses to a kanji or reading of the extended profile.
+ * @param {{pos: Set<string>, gloss: string[]}} target The kanji or reading.
+ * @param {Object[]} senses The senses of the source dictionary entry.
+ * @param {string} glossLanguage The language of the glosses to add.
+ */
+function addSenses(target, senses, glossLanguage) {
+    senses.forEach(sense => {
+        (sense.partOfSpeech || []).forEach(pos => target.pos.add(pos));
+        (sense.gloss || [])
+            .filter(gloss => gloss.lang === glossLanguage)
+            .forEach(gloss => {
+                if (target.gloss.length < maxGlosses && target.gloss.includes(gloss.text) === false) target.gloss.push(gloss.text);
             });
-        } catch (error) {
-            console.log('Unhandled error:', error);
-            return resolve(false);
-        }
     });
 }
 
 /**
- * Checks if the script was executed directly via npm run.
+ * Returns the output file name of a profile, tagged with the language unless all languages are included.
+ * @param {string} profile The output profile.
+ * @param {string} [lang=all] The language of the source dictionary.
+ * @return {string} Returns the output file name (e.g. "simple.min.json" or "simple.ger.min.json").
+ */
+function getOutputFileName(profile, lang = defaultLanguage) {
+    const outputFileName = profiles[profile].outputFileName;
+    if (lang === defaultLanguage) return outputFileName;
+    return outputFileName.replace(/\.min\.json$/, `.${lang}.min.json`);
+}
+
+/**
+ * Returns the path of the compact binary version of an output file.
+ * @param {string} outputFilePath The path or file name of the JSON output file.
+ * @return {string} Returns the path with the ".bin" extension (e.g. "simple.min.bin").
+ */
+function getCompactFilePath(outputFilePath) {
+    return outputFilePath.replace(/\.json$/, '') + '.bin';
+}
+
+/**
+ * Returns the path of the statistics file of an output file.
+ * @param {string} outputFilePath The path or file name of the JSON output file.
+ * @return {string} Returns the path with the ".stats.json" extension (e.g. "simple.stats.json" or "custom.stats.json").
+ */
+function getStatsFilePath(outputFilePath) {
+    return outputFilePath.replace(/(\.min)?\.json$/, '') + '.stats.json';
+}
+
+/**
+ * Returns the path of the size report of an output file.
+ * @param {string} outputFilePath The path or file name of the JSON output file.
+ * @return {string} Returns the path with the ".sizes.json" extension (e.g. "simple.sizes.json").
+ */
+function getSizesFilePath(outputFilePath) {
+    return outputFilePath.replace(/(\.min)?\.json$/, '') + '.sizes.json';
+}
+
+/**
+ * Returns the path of the shards folder of an output file.
+ * @param {string} outputFilePath The path or file name of the JSON output file.
+ * @return {string} Returns the path with the ".shards" extension (e.g. "simple.min.shards").
+ */
+function getShardsDirPath(outputFilePath) {
+    return outputFilePath.replace(/\.json$/, '') + '.shards';
+}
+
+/**
+ * Returns the language of a source dictionary file name like "jmdict-ger-3.5.0.json".
+ * @param {string} fileName The file name of the JSON file.
+ * @return {string} Returns the language code or "all" if the file name does not contain a language.
+ */
+function getLanguage(fileName) {
+    const match = /^jmdict-([a-z]{3})-/.exec(path.basename(fileName));
+    return match ? match[1] : defaultLanguage;
+}
+
+/**
+ * Checks if a language code is valid, which is either "all" or a three letter code like "eng" or "ger".
+ * @param {string} lang The language code.
  * @return {boolean}
  */
-function isRunningViaNpmRun() {
-    return require.main === module &&
-        process.env.npm_lifecycle_event !== undefined &&
-        process.env.npm_package_json !== undefined;
+function isValidLanguage(lang) {
+    return typeof lang === 'string' && /^[a-z]{3}$/.test(lang);
 }
 
-if (isRunningViaNpmRun() === true) main();
+// The converters of the primitive value tokens of the JSON parser
+const primitiveValues = new Map([
+    ['stringValue', value => value],
+    ['numberValue', value => Number(value)],
+    ['nullValue', () => null],
+    ['trueValue', () => true],
+    ['falseValue', () => false],
+]);
+
+/**
+ * Reads the original JMdict JSON file as a stream and passes each entry of the `words` array to a callback,
+ * so the whole source dictionary never has to be held in memory.
+ * The progress is reported as "read" event every 1000 entries.
+ * @param {string|stream.Readable} inputFilePath The path of the original JMdict JSON file or a stream of its data.
+ * @param {function(Object): void} onEntry The callback which is called for each word entry.
+ * @return {Promise<{version: string, dictDate: string, entries: number|null}|null>} Returns a promise which resolves to the version, the date and
+ * the number of word entries of the source dictionary or null. The number of entries is null if the `words` array is missing.
+ */
+function readSourceDictionary(inputFilePath, onEntry) {
+    return new Promise((resolve, reject) => {
+        try {
+            const header = { version: undefined, dictDate: undefined, entries: null };
+            const assembler = new Assembler();
+            let isErrored = false; // Flag to prevent double resolving
+            let depth = 0;
+            let key = null;
+            let inWords = false;
+            const input = (inputFilePath instanceof stream.Readable) ? inputFilePath : fs.createReadStream(inputFilePath);
+            const totalBytes = (typeof inputFilePath === 'string') ? fs.statSync(inputFilePath).size : undefined;
+            let bytes = 0;
+            const reportProgress = () => logger.progress({ phase: 'read', entries: header.entries || 0, bytes, totalBytes });
+            input.on('data', logger.bind(chunk => {
+                bytes += chunk.length;
+            }));
+            const tokens = parser({ packValues: true, streamValues: false });
+            const handleError = (error, message) => {
+                if (isErrored) return;
+                isErrored = true;
+                logger.error(message, error);
+                input.destroy();
+                tokens.destroy();
+                return resolve(null);
+            };
+            const passEntry = (entry) => {
+                header.entries++;
+                try {
+                    onEntry(entry);
+                } catch (error) {
+                    return handleError(error, 'Error processing a word entry of the source dictionary.');
+                }
+                if (header.entries % progressInterval === 0) reportProgress();
+            };
+            tokens.on('data', logger.bind(token => {
+                if (isErrored) return;
+                const isStart = token.name === 'startObject' || token.name === 'startArray';
+                const isEnd = token.name === 'endObject' || token.name === 'endArray';
+                if (inWords && (depth > 2 || isStart)) {
+                    // Assemble the tokens of the current word entry
+                    assembler.consume(token);
+                    if (isStart) depth++;
+                    else if (isEnd) depth--;
+                    if (depth === 2 && assembler.done) passEntry(assembler.current);
+                    return;
+                }
+                if (inWords && depth === 2 && primitiveValues.has(token.name)) {
+                    // Entries which are not objects are passed as well, so they can be reported as invalid
+                    passEntry(primitiveValues.get(token.name)(token.value));
+                    return;
+                }
+                if (isStart) {
+                    depth++;
+                    if (depth === 2 && key === 'words' && token.name === 'startArray') {
+                        inWords = true;
+                        header.entries = 0;
+                    }
+                } else if (isEnd) {
+                    depth--;
+                    inWords = false;
+                } else if (depth === 1 && token.name === 'keyValue') {
+                    key = token.value;
+                } else if (depth === 1 && token.name === 'stringValue' && (key === 'version' || key === 'dictDate')) {
+                    header[key] = token.value;
+                }
+            }));
+            input.on('error', logger.bind((error) => handleError(error, 'Error reading the input file:')));
+            tokens.on('error', logger.bind((error) => handleError(error, 'Error parsing the source dictionary json data.')));
+            tokens.on('end', logger.bind(() => {
+                if (isErrored) return;
+                if (depth !== 0) return handleError(null, 'The source dictionary json data is incomplete.');
+                reportProgress();
+                return resolve(header);
+            }));
+            input.pipe(tokens);
+        } catch (error) {
+            logger.error('Unhandled error:', error);
+            return resolve(null);
+        }
+    });
+}
 
-module.exports = { convert };
+module.exports = { convert, createSimpleDictionary, readSourceDictionary, getOutputFileName, getCompactFilePath, getStatsFilePath, isValidLanguage, profiles };
@@ -0,0 +1,156 @@
+const fs = require('fs');
+const { update } = require('./update.js');
+const { createSimpleDictionary } = require('./convert.js');
+const { readDictionary } = require('./lookup.js');
+const logger = require('./logger.js');
+
+// The number of keys per list in the human-readable summary
+const defaultLimit = 20;
+
+/**
+ * @typedef {Object} KeyChanges
+ * @property {{added: string[], removed: string[]}} katakana The added and removed katakana spellings.
+ * @property {{added: string[], removed: string[]}} kanji The added and removed kanji spellings.
+ */
+
+/**
+ * @typedef {Object} DiffReport
+ * @property {{version: string, dictDate: string}} from The version of the old dictionary.
+ * @property {{version: string, dictDate: string}} to The version of the new dictionary.
+ * @property {{added: number, removed: number, changed: number}} summary The number of added, removed and changed keys.
+ * @property {string[]} added The added hiragana keys.
+ * @property {string[]} removed The removed hiragana keys.
+ * @property {Object<string, KeyChanges>} changed The changes of the hiragana keys which exist in both dictionaries.
+ */
+
+/**
+ * Compares two simple dictionary JSON files (or their ".gz" versions).
+ * @param {string} oldFilePath The path of the old simple dictionary JSON file.
+ * @param {string} newFilePath The path of the new simple dictionary JSON file.
+ * @return {Promise<DiffReport|null>} Returns a promise which resolves to the diff report or null.
+ */
+async function diffFiles(oldFilePath, newFilePath) {
+    if (typeof oldFilePath !== 'string' || typeof newFilePath !== 'string') {
+        logger.error('Please provide the paths of two dictionary files to compare!');
+        return null;
+    }
+    const oldData = await readDictionary(oldFilePath);
+    if (oldData === null) return null;
+    const newData = await readDictionary(newFilePath);
+    if (newData === null) return null;
+    return diffDictionaries(oldData, newData);
+}
+
+/**
+ * Downloads and converts the source dictionaries of two release tags and compares them. The unpacked source
+ * dictionaries are only needed for the comparison, so they are removed from the data folder afterwards.
+ * @param {string} oldTag The old release tag name.
+ * @param {string} newTag The new release tag name.
+ * @param {Object} [options] The options which are passed to `update()` and `createSimpleDictionary()`.
+ * @param {string} [options.lang] The language of the source dictionary asset.
+ * @param {string} [options.profile] The output profile.
+ * @param {string} [options.source] The source of the assets.
+ * @param {string} [options.dataDir] The folder of the source dictionaries. Default is the `data` folder of this package.
+ * @return {Promise<DiffReport|null>} Returns a promise which resolves to the diff report or null.
+ */
+async function diffTags(oldTag, newTag, options = {}) {
+    if (typeof oldTag !== 'string' || typeof newTag !== 'string') {
+        logger.error('Please provide two release tag names to compare!');
+        return null;
+    }
+    const dictionaries = [];
+    for (const tag of [oldTag, newTag]) {
+        const updateResult = await update(tag, { lang: options.lang, source: options.source, dataDir: options.dataDir });
+        if (updateResult.success === false) return null;
+        const dictionary = await createSimpleDictionary(updateResult.path, { profile: options.profile, lang: options.lang });
+        try {
+            fs.rmSync(updateResult.path, { force: true });
+        } catch (error) {
+            logger.warn(`Could not remove the source dictionary "${updateResult.path}".`, error);
+        }
+        if (dictionary === null) return null;
+        dictionaries.push(dictionary);
+    }
+    return diffDictionaries(dictionaries[0], dictionaries[1]);
+}
+
+/**
+ * Compares the `words` of two parsed simple or extended dictionaries.
+ * @param {Object} oldData The old parsed dictionary JSON data.
+ * @param {Object} newData The new parsed dictionary JSON data.
+ * @return {DiffReport} Returns the diff report.
+ */
+function diffDictionaries(oldData, newData) {
+    const oldWords = oldData.words || {};
+    const newWords = newData.words || {};
+    const has = (words, key) => Object.prototype.hasOwnProperty.call(words, key);
+    // Kanji of the extended profile are objects
+    const getText = (value) => (typeof value === 'string') ? value : value.text;
+    const compare = (oldValues, newValues) => {
+        const oldSet = new Set(oldValues.map(getText));
+        const newSet = new Set(newValues.map(getText));
+        return {
+            added: [...newSet].filter(value => oldSet.has(value) === false),
+            removed: [...oldSet].filter(value => newSet.has(value) === false),
+        };
+    };
+    const added = Object.keys(newWords).filter(key => has(oldWords, key) === false);
+    const removed = Object.keys(oldWords).filter(key => has(newWords, key) === false);
+    const changed = {};
+    Object.keys(newWords).filter(key => has(oldWords, key)).forEach(key => {
+        const katakana = compare(oldWords[key].katakana, newWords[key].katakana);
+        const kanji = compare(oldWords[key].kanji, newWords[key].kanji);
+        const count = katakana.added.length + katakana.removed.length + kanji.added.length + kanji.removed.length;
+        if (count > 0) changed[key] = { katakana, kanji };
+    });
+    return {
+        from: { version: oldData.version, dictDate: oldData.dictDate },
+        to: { version: newData.version, dictDate: newData.dictDate },
+        summary: { added: added.length, removed: removed.length, changed: Object.keys(changed).length },
+        added,
+        removed,
+        changed,
+    };
+}
+
+/**
+ * Formats a diff report as human-readable summary.
+ * @param {DiffReport} report The diff report.
+ * @param {number} [limit=20] The maximum number of keys listed per section.
+ * @return {string} Returns the summary.
+ */
+function formatReport(report, limit = defaultLimit) {
+    const lines = [];
+    const more = (count) => (count > limit) ? [`  ... and ${count - limit} more`] : [];
+    const formatChanges = (label, { added, removed }) => [
+        ...added.map(value => `+${value}`),
+        ...removed.map(value => `-${value}`),
+    ].map(value => `${label} ${value}`);
+    lines.push(`From version ${report.from.version} (${report.from.dictDate}) to version ${report.to.version} (${report.to.dictDate})`);
+    lines.push(`Added keys: ${report.summary.added}, removed keys: ${report.summary.removed}, changed keys: ${report.summary.changed}`);
+    if (report.added.length > 0) {
+        lines.push('', 'Added keys:');
+        report.added.slice(0, limit).forEach(key => lines.push(`  + ${key}`));
+        lines.push(...more(report.added.length));
+    }
+    if (report.removed.length > 0) {
+        lines.push('', 'Removed keys:');
+        report.removed.slice(0, limit).forEach(key => lines.push(`  - ${key}`));
+        lines.push(...more(report.removed.length));
+    }
+    const changedKeys = Object.keys(report.changed);
+    if (changedKeys.length > 0) {
+        lines.push('', 'Changed keys:');
+        changedKeys.slice(0, limit).forEach(key => {
+            const changes = [
+                ...formatChanges('katakana', report.changed[key].katakana),
+                ...formatChanges('kanji', report.changed[key].kanji),
+            ];
+            lines.push(`  ~ ${key}: ${changes.join(', ')}`);
+        });
+        lines.push(...more(changedKeys.length));
+    }
+    return lines.join('\n');
+}
+
+module.exports = { diffFiles, diffTags, diffDictionaries, formatReport };
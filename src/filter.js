@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { toHiragana } = require('./kana.js');
+
+// The properties of a sense which contain tags, e.g. "arch" (archaic) in `misc` or "med" (medicine) in `field`
+const senseTagProperties = ['misc', 'field', 'dialect'];
+
+/**
+ * @typedef {Object} FilterOptions
+ * @property {boolean} [commonOnly=false] Only keeps the readings and kanji spellings which are marked as common.
+ * @property {string[]} [tags] Only keeps the entries which have at least one of the tags on a kanji, reading or sense.
+ * @property {string[]} [excludeTags] Removes the kanji and readings with one of the tags and the entries whose senses
+ * all have one of the tags.
+ * @property {number} [maxReadingLength] Removes the readings which are longer than the given number of kana.
+ * @property {Iterable<string>} [allowlist] Only keeps the entries which contain one of the words as reading or kanji spelling.
+ */
+
+/**
+ * Checks the filter options.
+ * @param {FilterOptions} options The filter options.
+ * @return {string[]} Returns the error messages, which are empty if the options are valid.
+ */
+function validateFilterOptions(options) {
+    const errors = [];
+    const isStringList = value => value !== null && typeof value === 'object' && typeof value[Symbol.iterator] === 'function'
+        && [...value].every(item => typeof item === 'string');
+    ['tags', 'excludeTags', 'allowlist'].forEach(key => {
+        if (options[key] !== undefined && isStringList(options[key]) === false) errors.push(`The "${key}" filter must be a list of strings.`);
+    });
+    if (options.maxReadingLength !== undefined && (Number.isInteger(options.maxReadingLength) === false || options.maxReadingLength < 1)) {
+        errors.push(`The maximum reading length must be a positive integer instead of "${options.maxReadingLength}".`);
+    }
+    return errors;
+}
+
+/**
+ * Checks if any of the filter options is set.
+ * @param {FilterOptions} options The filter options.
+ * @return {boolean}
+ */
+function hasFilters(options) {
+    return options.commonOnly === true || options.tags !== undefined || options.excludeTags !== undefined
+        || options.maxReadingLength !== undefined || options.allowlist !== undefined;
+}
+
+/**
+ * Creates the filter of the source entries for the given filter options. Entries are filtered as a whole by the
+ * `tags` and the `allowlist`, while the other options remove single readings and kanji spellings. An entry without
+ * any readings left is skipped.
+ * @param {FilterOptions} options The valid filter options, see `validateFilterOptions()`.
+ * @return {function(Object): Object|null} Returns a function which returns the filtered copy of a source entry or null
+ * if the entry is skipped.
+ */
+function createEntryFilter(options) {
+    const tags = new Set(options.tags || []);
+    const excludeTags = new Set(options.excludeTags || []);
+    // Readings are compared as hiragana, so the allowlist may contain katakana as well
+    const allowlist = (options.allowlist === undefined) ? null : new Set([...options.allowlist].map(word => toHiragana(word.trim())));
+    const hasTag = (tagSet, list) => Array.isArray(list) && list.some(tag => tagSet.has(tag));
+    const getSenseTags = sense => senseTagProperties.flatMap(key => Array.isArray(sense[key]) ? sense[key] : []);
+    return (entry) => {
+        const kanji = entry.kanji || [];
+        const kana = entry.kana || [];
+        const senses = entry.sense || [];
+        if (allowlist !== null && kanji.every(k => !allowlist.has(k.text)) && kana.every(k => !allowlist.has(toHiragana(k.text)))) {
+            return null;
+        }
+        if (tags.size > 0 && [...kanji, ...kana].every(element => !hasTag(tags, element.tags))
+            && senses.every(sense => !hasTag(tags, getSenseTags(sense)))) {
+            return null;
+        }
+        if (excludeTags.size > 0 && senses.length > 0 && senses.every(sense => hasTag(excludeTags, getSenseTags(sense)))) {
+            return null;
+        }
+        const isKept = element => (options.commonOnly !== true || element.common === true) && !hasTag(excludeTags, element.tags);
+        const filtered = {
+            ...entry,
+            kanji: kanji.filter(isKept),
+            kana: kana.filter(k => isKept(k)
+                && (options.maxReadingLength === undefined || [...toHiragana(k.text)].length <= options.maxReadingLength)),
+        };
+        return (filtered.kana.length === 0) ? null : filtered;
+    };
+}
+
+/**
+ * Returns a description of the filter options, which is recorded in the build manifest. The allowlist is
+ * described by the SHA-256 checksum of its sorted words.
+ * @param {FilterOptions} options The filter options.
+ * @return {string|null} Returns the description or null if no filter option is set.
+ */
+function describeFilters(options) {
+    if (hasFilters(options) === false) return null;
+    const allowlist = (options.allowlist === undefined) ? undefined
+        : crypto.createHash('sha256').update([...new Set(options.allowlist)].sort().join('\n')).digest('hex');
+    return JSON.stringify({
+        commonOnly: options.commonOnly === true,
+        tags: options.tags && [...options.tags],
+        excludeTags: options.excludeTags && [...options.excludeTags],
+        maxReadingLength: options.maxReadingLength,
+        allowlist,
+    });
+}
+
+/**
+ * Reads a list of words or tags from a text file with one item per line. Empty lines and lines starting with "#" are ignored.
+ * @param {string} filePath The path of the text file.
+ * @return {string[]} Returns the items.
+ */
+function readWordList(filePath) {
+    return fs.readFileSync(filePath, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line.length > 0 && line.startsWith('#') === false);
+}
+
+module.exports = { validateFilterOptions, hasFilters, createEntryFilter, describeFilters, readWordList };
@@ -0,0 +1,40 @@
+/*
+ * The programmatic API of jmdict-simple. The functions which take an options object also accept the callbacks
+ * `onProgress`, `onWarning` and `onError` and the `silent` flag, see `ScopeOptions` in `logger.js`.
+ * The TypeScript typings of the API and the output format are in `types/index.d.ts`.
+ */
+const { build } = require('./build.js');
+const { update, resolveAsset } = require('./update.js');
+const { convert, createSimpleDictionary, profiles } = require('./convert.js');
+const { load, readDictionary, createDictionary } = require('./lookup.js');
+const { encode, createReader } = require('./compact.js');
+const { diffFiles, diffTags, diffDictionaries, formatReport } = require('./diff.js');
+const { serve, createServer } = require('./serve.js');
+const { toHiragana, toKatakana } = require('./kana.js');
+const { toKana, toRomaji } = require('./romaji.js');
+const { configure } = require('./logger.js');
+
+module.exports = {
+    build,
+    update,
+    resolveAsset,
+    convert,
+    createSimpleDictionary,
+    profiles,
+    load,
+    readDictionary,
+    createDictionary,
+    encode,
+    createReader,
+    diffFiles,
+    diffTags,
+    diffDictionaries,
+    formatReport,
+    serve,
+    createServer,
+    toHiragana,
+    toKatakana,
+    toKana,
+    toRomaji,
+    configureLogging: configure,
+};
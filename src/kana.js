@@ -0,0 +1,82 @@
+// Offset between the hiragana (U+3041–U+3096) and the katakana (U+30A1–U+30F6) block
+const katakanaOffset = 0x60;
+const combiningVoicedMark = '\u3099';
+
+/**
+ * Converts kana text to hiragana. Half-width katakana is converted to full-width first,
+ * iteration marks (ゝゞヽヾ) are expanded to the repeated kana and katakana without a hiragana
+ * counterpart (ヷヸヹヺ) is written with a combining voiced sound mark. The long vowel mark (ー)
+ * is kept, since it is also used in hiragana text.
+ * @param {string} text The kana text.
+ * @return {string} Returns the hiragana text.
+ */
+function toHiragana(text) {
+    return expandIterationMarks(toFullWidth(text))
+        .replace(/[\u30A1-\u30F6\u30FD\u30FE]/g, match => String.fromCharCode(match.charCodeAt(0) - katakanaOffset))
+        .replace(/[\u30F7-\u30FA]/g, match => {
+            // ヷヸヹヺ are ワヰヱヲ with a voiced sound mark
+            const base = String.fromCharCode(match.charCodeAt(0) - 8 - katakanaOffset);
+            return base + combiningVoicedMark;
+        });
+}
+
+/**
+ * Converts kana text to katakana. Half-width katakana is converted to full-width first and
+ * iteration marks (ゝゞヽヾ) are expanded to the repeated kana.
+ * @param {string} text The kana text.
+ * @return {string} Returns the katakana text.
+ */
+function toKatakana(text) {
+    return expandIterationMarks(toFullWidth(text))
+        .replace(/[\u3041-\u3096\u309D\u309E]/g, match => String.fromCharCode(match.charCodeAt(0) + katakanaOffset))
+        // Compose ワヰヱヲ followed by a combining voiced sound mark to ヷヸヹヺ
+        .replace(/[\u30EF-\u30F2]\u3099/g, match => match.normalize('NFC'));
+}
+
+/**
+ * Converts half-width katakana to full-width katakana and composes kana followed by
+ * a combining (semi-)voiced sound mark.
+ * @param {string} text The kana text.
+ * @return {string} Returns the full-width text.
+ */
+function toFullWidth(text) {
+    return text
+        .replace(/[\uFF61-\uFF9F]+/g, match => match.normalize('NFKC'))
+        .replace(/[\u3041-\u30FF][\u3099\u309A]/g, match => match.normalize('NFC'));
+}
+
+/**
+ * Replaces the iteration marks ゝ and ヽ with the preceding kana without voiced sound mark
+ * and ゞ and ヾ with the preceding kana with voiced sound mark.
+ * @param {string} text The kana text.
+ * @return {string} Returns the text without iteration marks.
+ */
+function expandIterationMarks(text) {
+    let result = '';
+    for (const char of text) {
+        const previous = result.slice(-1);
+        if ((char === 'ゝ' || char === 'ヽ' || char === 'ゞ' || char === 'ヾ') && isKana(previous)) {
+            const unvoiced = previous.normalize('NFD').charAt(0);
+            if (char === 'ゝ' || char === 'ヽ') {
+                result += unvoiced;
+            } else {
+                const voiced = (unvoiced + combiningVoicedMark).normalize('NFC');
+                result += (voiced.length === 1) ? voiced : previous;
+            }
+        } else {
+            result += char;
+        }
+    }
+    return result;
+}
+
+/**
+ * Checks if a single character is a full-width hiragana or katakana letter.
+ * @param {string} char The character.
+ * @return {boolean}
+ */
+function isKana(char) {
+    return /^[\u3041-\u3096\u30A1-\u30FA]$/.test(char);
+}
+
+module.exports = { toHiragana, toKatakana, expandIterationMarks };
@@ -0,0 +1,122 @@
+const util = require('util');
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+
+// The log levels, a message is written if its level is not above the configured level
+const levels = { silent: -1, error: 0, warn: 1, info: 2 };
+// Library callers get the messages from the results and callbacks, so nothing is written until `configure()` is called
+const settings = { level: 'silent', json: false };
+// The log scopes of the running API calls, see `withScope()`
+const scopes = new AsyncLocalStorage();
+
+/**
+ * @typedef {Object} ScopeOptions
+ * @property {boolean} [silent=false] Does not write the messages of the call, they are only passed to the callbacks.
+ * Only needed if the logging was enabled with `configure()`.
+ * @property {function(Object): void} [onProgress] Is called with the progress events of the call.
+ * @property {function(string): void} [onWarning] Is called with each warning of the call.
+ * @property {function(string): void} [onError] Is called with each error of the call.
+ */
+
+/**
+ * @typedef {Object} Scope
+ * @property {string[]} warnings The warnings of the call.
+ * @property {string[]} errors The errors of the call.
+ */
+
+/**
+ * Configures the logging of all modules. By default no messages are written, the command line interface calls this
+ * function to write them.
+ * @param {Object} [options] The logging options.
+ * @param {boolean} [options.silent=false] Does not write any messages, like before the first call.
+ * @param {boolean} [options.quiet=false] Only writes errors.
+ * @param {boolean} [options.json=false] Writes each message as a JSON line `{"level": ..., "message": ...}` to stderr,
+ * so stdout only contains the result of a command.
+ */
+function configure(options = {}) {
+    if (options.silent === true) settings.level = 'silent';
+    else settings.level = options.quiet === true ? 'error' : 'info';
+    settings.json = options.json === true;
+}
+
+/**
+ * Writes a message with the arguments formatted like `console.log()`.
+ * @param {string} level The log level ("error", "warn" or "info").
+ * @param {Array} args The arguments of the message.
+ */
+function write(level, args) {
+    const message = util.format(...args);
+    let silent = false;
+    // Pass warnings and errors to the scopes of the running call and the calls which started it
+    for (let scope = scopes.getStore(); scope !== undefined; scope = scope.parent) {
+        if (level === 'warn') {
+            scope.warnings.push(message);
+            if (typeof scope.options.onWarning === 'function') scope.options.onWarning(message);
+        } else if (level === 'error') {
+            scope.errors.push(message);
+            if (typeof scope.options.onError === 'function') scope.options.onError(message);
+        }
+        silent = silent || scope.options.silent === true;
+    }
+    if (silent || levels[level] > levels[settings.level]) return;
+    if (settings.json) process.stderr.write(JSON.stringify({ level, message }) + '\n');
+    else if (level === 'info') process.stdout.write(message + '\n');
+    else process.stderr.write(message + '\n');
+}
+
+/**
+ * Writes an informational message to stdout.
+ * @param {...*} args The arguments of the message.
+ */
+function info(...args) {
+    write('info', args);
+}
+
+/**
+ * Writes a warning to stderr.
+ * @param {...*} args The arguments of the message.
+ */
+function warn(...args) {
+    write('warn', args);
+}
+
+/**
+ * Writes an error to stderr.
+ * @param {...*} args The arguments of the message.
+ */
+function error(...args) {
+    write('error', args);
+}
+
+/**
+ * Reports the progress of the running call to the `onProgress` callbacks of its scope and the scopes which started it.
+ * @param {Object} event The progress event, which has at least a `phase` property (e.g. "read" or "download").
+ */
+function progress(event) {
+    for (let scope = scopes.getStore(); scope !== undefined; scope = scope.parent) {
+        if (typeof scope.options.onProgress === 'function') scope.options.onProgress(event);
+    }
+}
+
+/**
+ * Runs an API call in its own log scope, which collects the warnings and errors of all functions it calls,
+ * even asynchronous ones, and passes them and the progress events to the callbacks of the options.
+ * @param {ScopeOptions} options The options of the call.
+ * @param {function(Scope): Promise<*>} fn The call.
+ * @return {Promise<*>} Returns the promise of the call.
+ */
+function withScope(options, fn) {
+    const scope = { options: options || {}, warnings: [], errors: [], parent: scopes.getStore() };
+    return scopes.run(scope, () => fn(scope));
+}
+
+/**
+ * Binds a callback to the log scope of the running call. Event listeners of streams which were created outside of
+ * the call, e.g. an input stream of the caller, otherwise run without the scope.
+ * @param {Function} fn The callback.
+ * @return {Function} Returns the bound callback.
+ */
+function bind(fn) {
+    return AsyncResource.bind(fn);
+}
+
+module.exports = { configure, info, warn, error, progress, withScope, bind };
@@ -0,0 +1,186 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const { createReader } = require('./compact.js');
+const { toKana, toLongVowelMarks } = require('./romaji.js');
+const logger = require('./logger.js');
+
+/**
+ * @typedef {Object} KanjiCandidate
+ * @property {string} text The kanji spelling.
+ * @property {boolean} common True if the kanji spelling is common.
+ * @property {string[]} pos The parts of speech.
+ * @property {string[]} gloss The glosses.
+ */
+
+/**
+ * @typedef {Object} WordEntry
+ * @property {string[]} katakana The katakana spellings of the hiragana reading.
+ * @property {Array<string|KanjiCandidate>} kanji The kanji spellings of the hiragana reading. The extended profile contains kanji candidates.
+ */
+
+/**
+ * @typedef {Object} SearchResult
+ * @property {string} hiragana The hiragana key of the entry.
+ * @property {string[]} katakana The katakana spellings of the hiragana reading.
+ * @property {Array<string|KanjiCandidate>} kanji The kanji spellings of the hiragana reading. The extended profile contains kanji candidates.
+ */
+
+/**
+ * @typedef {Object} Dictionary
+ * @property {string} version The version of the source dictionary.
+ * @property {string} dictDate The date of the source dictionary.
+ * @property {number} size The number of hiragana keys in the dictionary.
+ * @property {function(string): WordEntry|null} lookup Returns the entry of an exact hiragana key or null.
+ * @property {function(string, number=): SearchResult[]} search Returns the entries whose hiragana key starts with the given prefix.
+ * @property {function(string): string[]} reverseLookup Returns the hiragana keys of a kanji or katakana spelling.
+ * @property {function(string): SearchResult[]} romajiLookup Returns the entries of a romaji spelling.
+ */
+
+/**
+ * Loads a simple or extended dictionary JSON file created by `convert()`. Files ending with ".gz" are decompressed first,
+ * files ending with ".bin" are read as compact binary dictionary.
+ * @param {string} filePath The path of the simple dictionary JSON file.
+ * @return {Promise<Dictionary|null>} Returns a promise which resolves to the dictionary or null.
+ */
+async function load(filePath) {
+    if (typeof filePath === 'string' && filePath.endsWith('.bin')) {
+        try {
+            return createReader(await fs.promises.readFile(filePath));
+        } catch (error) {
+            logger.error('Error reading the compact dictionary file:', error);
+            return null;
+        }
+    }
+    const data = await readDictionary(filePath);
+    if (data === null) return null;
+    try {
+        return createDictionary(data);
+    } catch (error) {
+        logger.error('Error creating the dictionary.', error);
+        return null;
+    }
+}
+
+/**
+ * Reads and parses a simple or extended dictionary JSON file created by `convert()`. Files ending with ".gz" are decompressed first.
+ * @param {string} filePath The path of the simple dictionary JSON file.
+ * @return {Promise<Object|null>} Returns a promise which resolves to the parsed dictionary JSON data or null.
+ */
+function readDictionary(filePath) {
+    return new Promise((resolve, reject) => {
+        try {
+            if (typeof filePath !== 'string' || filePath.length === 0) {
+                logger.error('Please provide a valid dictionary file path!');
+                return resolve(null);
+            }
+            fs.readFile(filePath, (error, buffer) => {
+                if (error) {
+                    logger.error('Error reading the dictionary file:', error);
+                    return resolve(null);
+                }
+                const parse = (content) => {
+                    try {
+                        return resolve(JSON.parse(content.toString('utf8')));
+                    } catch (error) {
+                        logger.error('Error parsing the dictionary json data.', error);
+                        return resolve(null);
+                    }
+                };
+                if (filePath.endsWith('.gz') === false) return parse(buffer);
+                zlib.gunzip(buffer, (error, content) => {
+                    if (error) {
+                        logger.error('Error decompressing the dictionary file:', error);
+                        return resolve(null);
+                    }
+                    parse(content);
+                });
+            });
+        } catch (error) {
+            logger.error('Unhandled error:', error);
+            return resolve(null);
+        }
+    });
+}
+
+/**
+ * Creates a queryable dictionary from the parsed output of `convert()`.
+ * @param {Object} data The parsed simple dictionary JSON data.
+ * @return {Dictionary} Returns the dictionary.
+ */
+function createDictionary(data) {
+    if (data === null || typeof data !== 'object' || data.words === null || typeof data.words !== 'object') {
+        throw new TypeError('The dictionary data does not contain a "words" object.');
+    }
+    const words = data.words;
+    const hasWord = (key) => Object.prototype.hasOwnProperty.call(words, key);
+    // Both indexes are created on first use, since most consumers only need exact lookups
+    let sortedKeys = null;
+    let reverseIndex = null;
+
+    const lookup = (hiragana) => {
+        if (typeof hiragana !== 'string' || hasWord(hiragana) === false) return null;
+        // Return a copy, so the dictionary can not be modified by the caller
+        return structuredClone(words[hiragana]);
+    };
+
+    const search = (prefix, limit = 10) => {
+        if (typeof prefix !== 'string' || prefix.length === 0) return [];
+        if (sortedKeys === null) sortedKeys = Object.keys(words).sort();
+        // Binary search for the first key which is not less than the prefix
+        let low = 0;
+        let high = sortedKeys.length;
+        while (low < high) {
+            const middle = (low + high) >>> 1;
+            if (sortedKeys[middle] < prefix) low = middle + 1;
+            else high = middle;
+        }
+        const results = [];
+        for (let i = low; i < sortedKeys.length && results.length < limit; i++) {
+            const key = sortedKeys[i];
+            if (key.startsWith(prefix) === false) break;
+            results.push({ hiragana: key, ...lookup(key) });
+        }
+        return results;
+    };
+
+    const reverseLookup = (text) => {
+        if (typeof text !== 'string' || text.length === 0) return [];
+        if (reverseIndex === null) {
+            reverseIndex = new Map();
+            const add = (spelling, key) => {
+                if (reverseIndex.has(spelling) === false) reverseIndex.set(spelling, []);
+                const keys = reverseIndex.get(spelling);
+                if (keys.includes(key) === false) keys.push(key);
+            };
+            Object.entries(words).forEach(([key, entry]) => {
+                entry.katakana.forEach(katakana => add(katakana, key));
+                entry.kanji.forEach(kanji => add((typeof kanji === 'string') ? kanji : kanji.text, key));
+            });
+        }
+        return reverseIndex.has(text) ? [...reverseIndex.get(text)] : [];
+    };
+
+    const romajiLookup = (text) => {
+        if (typeof text !== 'string' || text.length === 0) return [];
+        // Use the romaji index of the dictionary if it was converted with one
+        const romaji = text.toLowerCase();
+        const indexed = (data.romaji && Object.prototype.hasOwnProperty.call(data.romaji, romaji)) ? data.romaji[romaji] : [];
+        const hiragana = toKana(text);
+        const keys = [...new Set([hiragana, ...indexed])].filter(key => hasWord(key));
+        // Loanwords like コーヒー are written with repeated vowels ("koohii"), so they are found by the long vowel mark
+        if (keys.length === 0 && hasWord(toLongVowelMarks(hiragana))) keys.push(toLongVowelMarks(hiragana));
+        return keys.map(key => ({ hiragana: key, ...lookup(key) }));
+    };
+
+    return {
+        version: data.version,
+        dictDate: data.dictDate,
+        size: Object.keys(words).length,
+        lookup,
+        search,
+        reverseLookup,
+        romajiLookup,
+    };
+}
+
+module.exports = { load, readDictionary, createDictionary };
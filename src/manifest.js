@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+const { hashFile } = require('./update.js');
+const logger = require('./logger.js');
+
+const releaseFolder = '../release';
+const manifestFileName = 'manifest.json';
+
+/**
+ * @typedef {Object} BuildInfo
+ * @property {string} sourceTag The release tag name of the source dictionary.
+ * @property {string} asset The file name of the source dictionary asset.
+ * @property {number|undefined} assetSize The size of the source dictionary asset in bytes.
+ * @property {string|undefined} assetDigest The digest of the source dictionary asset. If the release has no digest,
+ * it is undefined until the asset was downloaded and hashed.
+ * @property {string} converterVersion The version of the converter, see `getConverterVersion()` in `build.js`.
+ * @property {string} lang The language of the source dictionary.
+ * @property {string} profile The output profile.
+ * @property {boolean} romaji True if the output contains a romaji index.
+ * @property {boolean} gzip True if the gz compressed version of the output was created.
+ * @property {number|null} gzipLevel The gzip compression level or null for the zlib default level.
+ * @property {boolean} brotli True if the Brotli compressed version of the output was created.
+ * @property {boolean} deflate True if the raw deflate compressed version of the output was created.
+ * @property {number|null} deflateLevel The raw deflate compression level or null for the zlib default level.
+ * @property {boolean} shards True if the output was split into shards.
+ * @property {string|null} filters The description of the filter options or null, see `describeFilters()` in `filter.js`.
+ */
+
+/**
+ * Reads the build manifest from the release folder. The manifest contains one build entry per output file name,
+ * so builds of different profiles and languages do not overwrite each other.
+ * @param {string} [outDir] The folder of the release files. Default is the `release` folder of this package.
+ * @return {{builds: Object<string, BuildInfo>}} Returns the manifest or an empty manifest if it does not exist or is invalid.
+ */
+function readManifest(outDir = path.join(__dirname, releaseFolder)) {
+    const manifestFilePath = path.join(outDir, manifestFileName);
+    try {
+        if (fs.existsSync(manifestFilePath) === false) return { builds: {} };
+        const manifest = JSON.parse(fs.readFileSync(manifestFilePath, 'utf8'));
+        if (manifest === null || typeof manifest.builds !== 'object' || manifest.builds === null) return { builds: {} };
+        return manifest;
+    } catch (error) {
+        logger.warn('Ignoring the invalid build manifest.', error);
+        return { builds: {} };
+    }
+}
+
+/**
+ * Checks if the outputs of a build are up to date, which means the manifest contains the same build information
+ * and all recorded output files still exist with the recorded hashes. An undefined asset digest matches the recorded
+ * digest, since the digest of a release without one is only known after the download.
+ * @param {string} outputFileName The output file name of the build, e.g. "simple.min.json".
+ * @param {BuildInfo} build The build information of the pending build.
+ * @param {string} [outDir] The folder of the release files. Default is the `release` folder of this package.
+ * @return {Promise<boolean>} Returns a promise which resolves true if the build is up to date, otherwise false.
+ */
+async function isUpToDate(outputFileName, build, outDir = path.join(__dirname, releaseFolder)) {
+    const entry = readManifest(outDir).builds[outputFileName];
+    if (!entry || typeof entry.outputs !== 'object' || entry.outputs === null) return false;
+    const isSameBuild = Object.keys(build).every(key => entry[key] === build[key] || (key === 'assetDigest' && build[key] === undefined));
+    if (isSameBuild === false) return false;
+    for (const [fileName, hash] of Object.entries(entry.outputs)) {
+        const filePath = path.join(outDir, fileName);
+        if (fs.existsSync(filePath) === false || (await hashFile(filePath)) !== hash) return false;
+    }
+    return true;
+}
+
+/**
+ * Records a build and the hashes of its output files in the manifest.
+ * @param {string} outputFileName The output file name of the build, e.g. "simple.min.json".
+ * @param {BuildInfo} build The build information.
+ * @param {string[]} outputs The file names of the output files in the release folder.
+ * @param {string} [outDir] The folder of the release files. Default is the `release` folder of this package.
+ * @return {Promise<boolean>} Returns a promise which resolves true if the manifest was written, otherwise false.
+ */
+async function writeManifest(outputFileName, build, outputs, outDir = path.join(__dirname, releaseFolder)) {
+    try {
+        const manifest = readManifest(outDir);
+        const hashes = {};
+        for (const fileName of outputs) {
+            const filePath = path.join(outDir, fileName);
+            if (fs.existsSync(filePath)) hashes[fileName] = await hashFile(filePath);
+        }
+        manifest.builds[outputFileName] = { ...build, outputs: hashes, date: new Date().toISOString() };
+        const manifestFilePath = path.join(outDir, manifestFileName);
+        fs.writeFileSync(manifestFilePath, JSON.stringify(manifest, null, 2), 'utf8');
+        logger.info(`The build manifest was saved to: "${manifestFilePath}"`);
+        return true;
+    } catch (error) {
+        logger.error('Error writing the build manifest:', error);
+        return false;
+    }
+}
+
+module.exports = { readManifest, isUpToDate, writeManifest };
@@ -0,0 +1,236 @@
+const { toHiragana } = require('./kana.js');
+
+// Romaji to hiragana, including the Hepburn, Kunrei and common input method spellings
+const romajiToKana = {
+    a: 'あ', i: 'い', u: 'う', e: 'え', o: 'お',
+    ka: 'か', ki: 'き', ku: 'く', ke: 'け', ko: 'こ',
+    ga: 'が', gi: 'ぎ', gu: 'ぐ', ge: 'げ', go: 'ご',
+    sa: 'さ', shi: 'し', si: 'し', su: 'す', se: 'せ', so: 'そ',
+    za: 'ざ', ji: 'じ', zi: 'じ', zu: 'ず', ze: 'ぜ', zo: 'ぞ',
+    ta: 'た', chi: 'ち', ti: 'ち', tsu: 'つ', tu: 'つ', te: 'て', to: 'と',
+    da: 'だ', di: 'ぢ', du: 'づ', dzu: 'づ', de: 'で', do: 'ど',
+    na: 'な', ni: 'に', nu: 'ぬ', ne: 'ね', no: 'の',
+    ha: 'は', hi: 'ひ', fu: 'ふ', hu: 'ふ', he: 'へ', ho: 'ほ',
+    ba: 'ば', bi: 'び', bu: 'ぶ', be: 'べ', bo: 'ぼ',
+    pa: 'ぱ', pi: 'ぴ', pu: 'ぷ', pe: 'ぺ', po: 'ぽ',
+    ma: 'ま', mi: 'み', mu: 'む', me: 'め', mo: 'も',
+    ya: 'や', yu: 'ゆ', yo: 'よ',
+    ra: 'ら', ri: 'り', ru: 'る', re: 'れ', ro: 'ろ',
+    wa: 'わ', wi: 'ゐ', we: 'ゑ', wo: 'を',
+    vu: 'ゔ', va: 'ゔぁ', vi: 'ゔぃ', ve: 'ゔぇ', vo: 'ゔぉ',
+    kya: 'きゃ', kyu: 'きゅ', kyo: 'きょ',
+    gya: 'ぎゃ', gyu: 'ぎゅ', gyo: 'ぎょ',
+    sha: 'しゃ', shu: 'しゅ', sho: 'しょ', she: 'しぇ', sya: 'しゃ', syu: 'しゅ', syo: 'しょ', sye: 'しぇ',
+    ja: 'じゃ', ju: 'じゅ', jo: 'じょ', je: 'じぇ', zya: 'じゃ', zyu: 'じゅ', zyo: 'じょ', zye: 'じぇ', jya: 'じゃ', jyu: 'じゅ', jyo: 'じょ', jye: 'じぇ',
+    cha: 'ちゃ', chu: 'ちゅ', cho: 'ちょ', che: 'ちぇ', tya: 'ちゃ', tyu: 'ちゅ', tyo: 'ちょ', tye: 'ちぇ', cya: 'ちゃ', cyu: 'ちゅ', cyo: 'ちょ', cye: 'ちぇ',
+    dya: 'ぢゃ', dyu: 'ぢゅ', dyo: 'ぢょ',
+    nya: 'にゃ', nyu: 'にゅ', nyo: 'にょ',
+    hya: 'ひゃ', hyu: 'ひゅ', hyo: 'ひょ',
+    bya: 'びゃ', byu: 'びゅ', byo: 'びょ',
+    pya: 'ぴゃ', pyu: 'ぴゅ', pyo: 'ぴょ',
+    mya: 'みゃ', myu: 'みゅ', myo: 'みょ',
+    rya: 'りゃ', ryu: 'りゅ', ryo: 'りょ',
+    fa: 'ふぁ', fi: 'ふぃ', fe: 'ふぇ', fo: 'ふぉ',
+    thi: 'てぃ', dhi: 'でぃ', twu: 'とぅ', dwu: 'どぅ', tsa: 'つぁ',
+    whi: 'うぃ', whe: 'うぇ', who: 'うぉ',
+    xa: 'ぁ', xi: 'ぃ', xu: 'ぅ', xe: 'ぇ', xo: 'ぉ', la: 'ぁ', li: 'ぃ', lu: 'ぅ', le: 'ぇ', lo: 'ぉ',
+    xya: 'ゃ', xyu: 'ゅ', xyo: 'ょ', lya: 'ゃ', lyu: 'ゅ', lyo: 'ょ',
+    xtu: 'っ', ltu: 'っ', xtsu: 'っ', ltsu: 'っ', xwa: 'ゎ', lwa: 'ゎ',
+    '-': 'ー',
+};
+// Long vowels written with a macron (Hepburn) or a circumflex (Kunrei)
+const longVowels = {
+    'ā': 'aa', 'ī': 'ii', 'ū': 'uu', 'ē': 'ee', 'ō': 'ou',
+    'â': 'aa', 'î': 'ii', 'û': 'uu', 'ê': 'ee', 'ô': 'ou',
+};
+const maxSyllableLength = 4;
+
+// Hiragana to romaji of the Hepburn and the Kunrei system, the Kunrei spelling is only given where it differs.
+// Sounds of loanwords are written like in input methods ("thi", "twu", "whi"), so `toKana()` reads them back.
+const kanaToRomaji = {};
+Object.entries({
+    'あ': 'a', 'い': 'i', 'う': 'u', 'え': 'e', 'お': 'o',
+    'か': 'ka', 'き': 'ki', 'く': 'ku', 'け': 'ke', 'こ': 'ko',
+    'が': 'ga', 'ぎ': 'gi', 'ぐ': 'gu', 'げ': 'ge', 'ご': 'go',
+    'さ': 'sa', 'し': ['shi', 'si'], 'す': 'su', 'せ': 'se', 'そ': 'so',
+    'ざ': 'za', 'じ': ['ji', 'zi'], 'ず': 'zu', 'ぜ': 'ze', 'ぞ': 'zo',
+    'た': 'ta', 'ち': ['chi', 'ti'], 'つ': ['tsu', 'tu'], 'て': 'te', 'と': 'to',
+    'だ': 'da', 'ぢ': ['ji', 'zi'], 'づ': ['zu', 'zu'], 'で': 'de', 'ど': 'do',
+    'な': 'na', 'に': 'ni', 'ぬ': 'nu', 'ね': 'ne', 'の': 'no',
+    'は': 'ha', 'ひ': 'hi', 'ふ': ['fu', 'hu'], 'へ': 'he', 'ほ': 'ho',
+    'ば': 'ba', 'び': 'bi', 'ぶ': 'bu', 'べ': 'be', 'ぼ': 'bo',
+    'ぱ': 'pa', 'ぴ': 'pi', 'ぷ': 'pu', 'ぺ': 'pe', 'ぽ': 'po',
+    'ま': 'ma', 'み': 'mi', 'む': 'mu', 'め': 'me', 'も': 'mo',
+    'や': 'ya', 'ゆ': 'yu', 'よ': 'yo',
+    'ら': 'ra', 'り': 'ri', 'る': 'ru', 'れ': 're', 'ろ': 'ro',
+    'わ': 'wa', 'ゐ': ['i', 'i'], 'ゑ': ['e', 'e'], 'を': ['o', 'o'], 'ん': 'n',
+    'ゔ': 'vu',
+    'きゃ': 'kya', 'きゅ': 'kyu', 'きょ': 'kyo',
+    'ぎゃ': 'gya', 'ぎゅ': 'gyu', 'ぎょ': 'gyo',
+    'しゃ': ['sha', 'sya'], 'しゅ': ['shu', 'syu'], 'しょ': ['sho', 'syo'], 'しぇ': ['she', 'sye'],
+    'じゃ': ['ja', 'zya'], 'じゅ': ['ju', 'zyu'], 'じょ': ['jo', 'zyo'], 'じぇ': ['je', 'zye'],
+    'ちゃ': ['cha', 'tya'], 'ちゅ': ['chu', 'tyu'], 'ちょ': ['cho', 'tyo'], 'ちぇ': ['che', 'tye'],
+    'ぢゃ': ['ja', 'zya'], 'ぢゅ': ['ju', 'zyu'], 'ぢょ': ['jo', 'zyo'],
+    'にゃ': 'nya', 'にゅ': 'nyu', 'にょ': 'nyo',
+    'ひゃ': 'hya', 'ひゅ': 'hyu', 'ひょ': 'hyo',
+    'びゃ': 'bya', 'びゅ': 'byu', 'びょ': 'byo',
+    'ぴゃ': 'pya', 'ぴゅ': 'pyu', 'ぴょ': 'pyo',
+    'みゃ': 'mya', 'みゅ': 'myu', 'みょ': 'myo',
+    'りゃ': 'rya', 'りゅ': 'ryu', 'りょ': 'ryo',
+    'ふぁ': 'fa', 'ふぃ': 'fi', 'ふぇ': 'fe', 'ふぉ': 'fo',
+    'てぃ': 'thi', 'でぃ': 'dhi', 'とぅ': 'twu', 'どぅ': 'dwu',
+    'うぃ': 'whi', 'うぇ': 'whe', 'うぉ': 'who',
+    'ゔぁ': 'va', 'ゔぃ': 'vi', 'ゔぇ': 've', 'ゔぉ': 'vo',
+    'ぁ': 'a', 'ぃ': 'i', 'ぅ': 'u', 'ぇ': 'e', 'ぉ': 'o', 'ゃ': 'ya', 'ゅ': 'yu', 'ょ': 'yo', 'ゎ': 'wa',
+}).forEach(([kana, romaji]) => {
+    kanaToRomaji[kana] = Array.isArray(romaji) ? { hepburn: romaji[0], kunrei: romaji[1] } : { hepburn: romaji, kunrei: romaji };
+});
+// The vowels which can lengthen the previous syllable, small vowels like ぅ in とぅ are part of the syllable
+const plainVowels = 'あいうえお';
+const macrons = {
+    hepburn: { aa: 'ā', uu: 'ū', ee: 'ē', oo: 'ō', ou: 'ō' },
+    kunrei: { aa: 'â', uu: 'û', ee: 'ê', oo: 'ô', ou: 'ô' },
+};
+
+/**
+ * Converts romaji to hiragana. Hepburn, Kunrei and common input method spellings are supported, including
+ * geminate consonants ("kitte"), long vowels with macron or circumflex ("tōkyō") and the long vowel mark ("-").
+ * A syllabic "n" before a vowel or "y" has to be written as "n'": "kan'i" is かんい, while "kani" is かに.
+ * A double "n" before a vowel is the syllabic "n" followed by the next syllable, so "kanna" is かんな
+ * (as is "kan'na"), while かんあ has to be written as "kan'a". Otherwise "nn" is a single syllabic "n" as in input methods.
+ * Characters which are not romaji are kept.
+ * @param {string} text The romaji text.
+ * @return {string} Returns the hiragana text.
+ */
+function toKana(text) {
+    const input = Array.from(text.toLowerCase().normalize('NFC'))
+        .map(char => longVowels[char] || char)
+        .join('');
+    let result = '';
+    let position = 0;
+    while (position < input.length) {
+        const char = input[position];
+        const next = input[position + 1];
+        // Syllabic n written as "n'"
+        if (char === 'n' && next === '\'') {
+            result += 'ん';
+            position += 2;
+            continue;
+        }
+        // Syllabic n written as "nn", the second n belongs to the next syllable if a vowel or y follows
+        if (char === 'n' && next === 'n') {
+            result += 'ん';
+            position += /[aiueoy]/.test(input[position + 2] || '') ? 1 : 2;
+            continue;
+        }
+        // Syllabic n before a consonant or at the end, and the Hepburn m before b, m and p
+        if ((char === 'n' && /[aiueoy]/.test(next || '') === false) || (char === 'm' && /[bmp]/.test(next || ''))) {
+            result += 'ん';
+            position += 1;
+            continue;
+        }
+        // Geminate consonant, including the Hepburn "tch"
+        if (/[bcdfghjkmpqrstvwxyz]/.test(char) && (next === char || (char === 't' && next === 'c'))) {
+            result += 'っ';
+            position += 1;
+            continue;
+        }
+        let match = null;
+        for (let length = Math.min(maxSyllableLength, input.length - position); length > 0; length--) {
+            const syllable = input.slice(position, position + length);
+            if (Object.prototype.hasOwnProperty.call(romajiToKana, syllable)) {
+                match = syllable;
+                break;
+            }
+        }
+        if (match === null) {
+            result += char;
+            position += 1;
+        } else {
+            result += romajiToKana[match];
+            position += match.length;
+        }
+    }
+    return result;
+}
+
+/**
+ * Converts hiragana or katakana to romaji.
+ * @param {string} text The kana text.
+ * @param {Object} [options] The conversion options.
+ * @param {string} [options.system=hepburn] The romanization system ("hepburn" or "kunrei").
+ * @param {boolean} [options.macrons=false] Writes long vowels with a macron (Hepburn) or a circumflex (Kunrei) instead of two vowels.
+ * @return {string} Returns the romaji text.
+ */
+function toRomaji(text, options = {}) {
+    const system = (options.system === 'kunrei') ? 'kunrei' : 'hepburn';
+    const input = Array.from(toHiragana(text));
+    let result = '';
+    let isGeminate = false;
+    for (let position = 0; position < input.length; position++) {
+        const char = input[position];
+        const pair = char + (input[position + 1] || '');
+        if (char === 'っ') {
+            isGeminate = true;
+            continue;
+        }
+        let romaji;
+        if (Object.prototype.hasOwnProperty.call(kanaToRomaji, pair)) {
+            romaji = kanaToRomaji[pair][system];
+            position++;
+        } else if (Object.prototype.hasOwnProperty.call(kanaToRomaji, char)) {
+            romaji = kanaToRomaji[char][system];
+            // A syllabic n before a vowel or y is separated with an apostrophe
+            if (char === 'ん' && /^[aiueoy]/.test(romajiOf(input[position + 1], system))) romaji = 'n\'';
+        } else if (char === 'ー') {
+            // The long vowel mark repeats the previous vowel
+            const vowel = /[aiueo]$/.exec(result);
+            romaji = vowel ? vowel[0] : '-';
+        } else {
+            romaji = char;
+        }
+        if (isGeminate) {
+            // Hepburn writes a geminate ch as tch
+            if (/^[a-z]/.test(romaji)) romaji = ((system === 'hepburn' && romaji.startsWith('ch')) ? 't' : romaji[0]) + romaji;
+            else romaji = 'っ' + romaji;
+            isGeminate = false;
+        }
+        result += romaji;
+    }
+    if (isGeminate) result += 'っ';
+    if (options.macrons === true) {
+        result = result.replace(/aa|uu|ee|oo|ou/g, match => macrons[system][match]);
+    }
+    return result;
+}
+
+/**
+ * Replaces the vowels which lengthen the previous syllable with the long vowel mark (ー), which is how loanwords
+ * are written, e.g. こおひい becomes こーひー. Since `toRomaji()` writes the long vowel mark as repeated vowel,
+ * this is the key of a romaji query like "koohii" or "kōhī" in the dictionary.
+ * @param {string} text The hiragana text, e.g. the result of `toKana()`.
+ * @return {string} Returns the hiragana text with long vowel marks.
+ */
+function toLongVowelMarks(text) {
+    let vowel = null;
+    return Array.from(text).map(char => {
+        const romaji = romajiOf(char, 'hepburn');
+        const isLong = vowel !== null && plainVowels.includes(char) && (romaji === vowel || (vowel === 'o' && romaji === 'u'));
+        if (isLong) return 'ー';
+        vowel = /[aiueo]$/.test(romaji) ? romaji[romaji.length - 1] : null;
+        return char;
+    }).join('');
+}
+
+/**
+ * Returns the romaji of a single kana character.
+ * @param {string} char The kana character.
+ * @param {string} system The romanization system.
+ * @return {string} Returns the romaji or an empty string.
+ */
+function romajiOf(char, system) {
+    if (char === undefined || Object.prototype.hasOwnProperty.call(kanaToRomaji, char) === false) return '';
+    return kanaToRomaji[char][system];
+}
+
+module.exports = { toKana, toRomaji, toLongVowelMarks };
@@ -0,0 +1,91 @@
+const path = require('path');
+
+const schemaFolder = '../schema';
+
+/**
+ * Loads a JSON schema from the `schema` folder.
+ * @param {string} fileName The file name of the schema, e.g. "simple.schema.json".
+ * @return {Object} Returns the schema.
+ */
+function loadSchema(fileName) {
+    return require(path.join(__dirname, schemaFolder, fileName));
+}
+
+/**
+ * Validates a value against a JSON schema. Only the keywords used by the schemas of this project are
+ * supported: `type`, `required`, `properties`, `additionalProperties`, `items`, `enum`, `minLength`
+ * and local `$ref`s like "#/definitions/word".
+ * @param {*} value The value to validate.
+ * @param {Object} schema The (sub-)schema to validate against.
+ * @param {Object} [root] The root schema, which is used to resolve `$ref`s. Default is the schema itself.
+ * @param {string} [location] The location of the value, which prefixes the error messages.
+ * @return {string[]} Returns the error messages, which are empty if the value is valid.
+ */
+function validate(value, schema, root = schema, location = '') {
+    if (typeof schema.$ref === 'string') {
+        return validate(value, resolveRef(root, schema.$ref), root, location);
+    }
+    const errors = [];
+    const name = location || 'value';
+    if (schema.type !== undefined) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (types.includes(getType(value)) === false && (types.includes('number') && getType(value) === 'integer') === false) {
+            errors.push(`${name} must be of type ${types.join(' or ')}, but is ${getType(value)}`);
+            return errors;
+        }
+    }
+    if (Array.isArray(schema.enum) && schema.enum.includes(value) === false) {
+        errors.push(`${name} must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}`);
+    }
+    if (typeof value === 'string' && typeof schema.minLength === 'number' && value.length < schema.minLength) {
+        errors.push(`${name} must not be shorter than ${schema.minLength} characters`);
+    }
+    if (Array.isArray(value) && schema.items !== undefined) {
+        value.forEach((item, index) => errors.push(...validate(item, schema.items, root, `${location}[${index}]`)));
+    }
+    if (getType(value) === 'object') {
+        const properties = schema.properties || {};
+        (schema.required || []).forEach(key => {
+            if (Object.prototype.hasOwnProperty.call(value, key) === false) errors.push(`${name} must have the property "${key}"`);
+        });
+        Object.keys(value).forEach(key => {
+            const propertyLocation = location ? `${location}.${key}` : key;
+            if (Object.prototype.hasOwnProperty.call(properties, key)) {
+                errors.push(...validate(value[key], properties[key], root, propertyLocation));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${name} must not have the property "${key}"`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                errors.push(...validate(value[key], schema.additionalProperties, root, propertyLocation));
+            }
+        });
+    }
+    return errors;
+}
+
+/**
+ * Resolves a local `$ref` like "#/definitions/word".
+ * @param {Object} root The root schema.
+ * @param {string} ref The reference.
+ * @return {Object} Returns the referenced schema.
+ */
+function resolveRef(root, ref) {
+    if (ref.startsWith('#') === false) throw new Error(`Only local schema references are supported, not "${ref}".`);
+    const schema = ref.slice(1).split('/').filter(part => part.length > 0)
+        .reduce((current, part) => (current === undefined) ? undefined : current[part], root);
+    if (schema === undefined) throw new Error(`The schema reference "${ref}" does not exist.`);
+    return schema;
+}
+
+/**
+ * Returns the JSON schema type of a value.
+ * @param {*} value The value.
+ * @return {string} Returns "null", "array", "integer", "number", "string", "boolean" or "object".
+ */
+function getType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+module.exports = { loadSchema, validate };
@@ -0,0 +1,119 @@
+const http = require('http');
+const path = require('path');
+const zlib = require('zlib');
+const { load } = require('./lookup.js');
+const logger = require('./logger.js');
+
+const releaseFolder = '../release';
+const defaultFileName = 'simple.min.json';
+const defaultPort = 3000;
+const defaultLimit = 10;
+const maxLimit = 100;
+
+/**
+ * Loads a dictionary file and serves it with a lookup server.
+ * @param {string} [filePath] The path of the dictionary file. If undefined "simple.min.json" of the `release` folder is used.
+ * @param {Object} [options] The server options.
+ * @param {number} [options.port=3000] The port to listen on.
+ * @param {string} [options.host=localhost] The host to listen on.
+ * @return {Promise<http.Server|null>} Returns a promise which resolves to the listening server or null.
+ */
+async function serve(filePath, options = {}) {
+    const dictionaryFilePath = filePath || path.join(__dirname, releaseFolder, defaultFileName);
+    const dictionary = await load(dictionaryFilePath);
+    if (dictionary === null) {
+        logger.error(`Could not load the dictionary "${dictionaryFilePath}".`);
+        return null;
+    }
+    const port = options.port ?? defaultPort;
+    const host = options.host || 'localhost';
+    return new Promise((resolve, reject) => {
+        const server = createServer(dictionary);
+        server.on('error', (error) => {
+            logger.error('Error starting the lookup server:', error);
+            return resolve(null);
+        });
+        server.listen(port, host, () => {
+            logger.info(`Serving ${dictionary.size} keys of "${dictionaryFilePath}" at http://${host}:${server.address().port}/`);
+            return resolve(server);
+        });
+    });
+}
+
+/**
+ * Creates a HTTP server with JSON endpoints for a dictionary:
+ *
+ * - `GET /` returns the version, date and size of the dictionary.
+ * - `GET /lookup/<hiragana>` returns the entry of an exact hiragana key.
+ * - `GET /search?prefix=<hiragana>&limit=<n>` returns the entries whose hiragana key starts with the prefix.
+ * - `GET /reverse/<kanji or katakana>` returns the hiragana keys of a spelling.
+ * - `GET /romaji/<romaji>` returns the entries of a romaji spelling.
+ *
+ * Responses are gzip compressed if the client accepts it. Since the responses only change with the dictionary,
+ * the ETag is derived from the dictionary `version` and `dictDate`.
+ * @param {import('./lookup.js').Dictionary} dictionary The dictionary.
+ * @return {http.Server} Returns the server, which is not listening yet.
+ */
+function createServer(dictionary) {
+    const etag = `W/"${dictionary.version}-${dictionary.dictDate}"`;
+    return http.createServer((request, response) => {
+        const send = (statusCode, body) => {
+            const headers = {
+                'Content-Type': 'application/json; charset=utf-8',
+                'Vary': 'Accept-Encoding',
+            };
+            if (statusCode === 200) {
+                headers['ETag'] = etag;
+                headers['Cache-Control'] = 'no-cache';
+                const ifNoneMatch = (request.headers['if-none-match'] || '').split(',').map(value => value.trim());
+                if (ifNoneMatch.includes(etag) || ifNoneMatch.includes('*')) {
+                    response.writeHead(304, headers);
+                    return response.end();
+                }
+            }
+            let content = Buffer.from(JSON.stringify(body), 'utf8');
+            if (/\bgzip\b/.test(request.headers['accept-encoding'] || '')) {
+                content = zlib.gzipSync(content);
+                headers['Content-Encoding'] = 'gzip';
+            }
+            headers['Content-Length'] = content.length;
+            response.writeHead(statusCode, headers);
+            response.end(request.method === 'HEAD' ? undefined : content);
+        };
+        try {
+            if (request.method !== 'GET' && request.method !== 'HEAD') {
+                return send(405, { error: `Method "${request.method}" is not allowed.` });
+            }
+            const url = new URL(request.url, 'http://localhost');
+            const [, route, ...rest] = url.pathname.split('/');
+            const parameter = decodeURIComponent(rest.join('/'));
+            if (route === '' && rest.length === 0) {
+                return send(200, { version: dictionary.version, dictDate: dictionary.dictDate, size: dictionary.size });
+            }
+            if (route === 'lookup' && parameter.length > 0) {
+                const entry = dictionary.lookup(parameter);
+                if (entry === null) return send(404, { error: `The key "${parameter}" was not found.` });
+                return send(200, { hiragana: parameter, ...entry });
+            }
+            if (route === 'search' && rest.length === 0) {
+                const prefix = url.searchParams.get('prefix') || '';
+                const limit = Math.min(Number(url.searchParams.get('limit')) || defaultLimit, maxLimit);
+                if (prefix.length === 0) return send(400, { error: 'Please provide a prefix.' });
+                return send(200, { prefix, results: dictionary.search(prefix, limit) });
+            }
+            if (route === 'reverse' && parameter.length > 0) {
+                return send(200, { text: parameter, hiragana: dictionary.reverseLookup(parameter) });
+            }
+            if (route === 'romaji' && parameter.length > 0) {
+                return send(200, { romaji: parameter, results: dictionary.romajiLookup(parameter) });
+            }
+            return send(404, { error: 'Not found.' });
+        } catch (error) {
+            if (error instanceof URIError) return send(400, { error: 'The request URL is malformed.' });
+            logger.error('Error handling the request:', error);
+            return send(500, { error: 'Internal server error.' });
+        }
+    });
+}
+
+module.exports = { serve, createServer };
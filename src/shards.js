@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger.js');
+
+const indexFileName = 'index.json';
+
+/**
+ * @typedef {Object} Shard
+ * @property {string} file The file name of the shard, e.g. "3042.json" for the keys starting with "あ".
+ * @property {number} keys The number of hiragana keys of the shard.
+ * @property {number} size The size of the shard file in bytes.
+ * @property {string} sha256 The SHA-256 checksum of the shard file as hex string.
+ */
+
+/**
+ * Splits a converted dictionary by the first character of its hiragana keys. Each shard is a dictionary of the same
+ * format, which only contains the keys with the same first character and their romaji.
+ * @param {Object} data The converted dictionary.
+ * @return {Map<string, Object>} Returns the shards by the first character, sorted by the character.
+ */
+function splitDictionary(data) {
+    const shards = new Map();
+    const getShard = (key) => {
+        const prefix = [...key][0];
+        if (shards.has(prefix) === false) {
+            const shard = { version: data.version, dictDate: data.dictDate, words: {} };
+            if (data.romaji) shard.romaji = {};
+            shards.set(prefix, shard);
+        }
+        return shards.get(prefix);
+    };
+    Object.entries(data.words).forEach(([key, word]) => {
+        getShard(key).words[key] = word;
+    });
+    Object.entries(data.romaji || {}).forEach(([romaji, keys]) => {
+        keys.forEach(key => {
+            const shard = getShard(key);
+            if (!shard.romaji[romaji]) shard.romaji[romaji] = [];
+            shard.romaji[romaji].push(key);
+        });
+    });
+    return new Map([...shards.entries()].sort(([a], [b]) => a.codePointAt(0) - b.codePointAt(0)));
+}
+
+/**
+ * Returns the file name of a shard, which is the hexadecimal code point of its first character,
+ * so the file names are safe for all file systems and URLs.
+ * @param {string} prefix The first character of the keys of the shard.
+ * @return {string} Returns the file name, e.g. "3042.json".
+ */
+function getShardFileName(prefix) {
+    return prefix.codePointAt(0).toString(16).padStart(4, '0') + '.json';
+}
+
+/**
+ * Writes the shards of a converted dictionary and their index to a folder. The shard files of a previous
+ * conversion are removed first, so no outdated shards are left behind.
+ * @param {string} dirPath The folder of the shards, which is created if needed.
+ * @param {Object} data The converted dictionary.
+ * @param {string} profile The output profile of the dictionary.
+ * @return {{indexPath: string, files: string[], size: number, sha256: string}} Returns the path of the index, the paths
+ * of the shard files, the total size of all files and the checksum of the index.
+ */
+function writeShards(dirPath, data, profile) {
+    fs.mkdirSync(dirPath, { recursive: true });
+    const indexPath = path.join(dirPath, indexFileName);
+    removeShards(dirPath, indexPath);
+    const index = { version: data.version, dictDate: data.dictDate, profile, shards: {} };
+    const files = [];
+    let size = 0;
+    splitDictionary(data).forEach((shard, prefix) => {
+        const file = getShardFileName(prefix);
+        const buffer = Buffer.from(JSON.stringify(shard), 'utf8');
+        fs.writeFileSync(path.join(dirPath, file), buffer);
+        const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+        index.shards[prefix] = { file, keys: Object.keys(shard.words).length, size: buffer.length, sha256 };
+        files.push(path.join(dirPath, file));
+        size += buffer.length;
+    });
+    const indexBuffer = Buffer.from(JSON.stringify(index, null, 2), 'utf8');
+    fs.writeFileSync(indexPath, indexBuffer);
+    return {
+        indexPath,
+        files,
+        size: size + indexBuffer.length,
+        sha256: crypto.createHash('sha256').update(indexBuffer).digest('hex'),
+    };
+}
+
+/**
+ * Removes the shard files which are listed in an existing index.
+ * @param {string} dirPath The folder of the shards.
+ * @param {string} indexPath The path of the index.
+ */
+function removeShards(dirPath, indexPath) {
+    if (fs.existsSync(indexPath) === false) return;
+    try {
+        const index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+        Object.values(index.shards || {}).forEach(shard => {
+            // Only plain file names are removed, so a modified index can not remove other files
+            if (typeof shard.file === 'string' && shard.file === path.basename(shard.file)) {
+                fs.rmSync(path.join(dirPath, shard.file), { force: true });
+            }
+        });
+    } catch (error) {
+        logger.warn('Ignoring the invalid shard index of the previous conversion.', error);
+    }
+}
+
+module.exports = { splitDictionary, getShardFileName, writeShards };
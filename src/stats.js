@@ -0,0 +1,123 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger.js');
+
+// Decreases of more than 5 percent compared to the previous release are reported as warning
+const maxDecrease = 0.05;
+
+/**
+ * @typedef {Object} Stats
+ * @property {number} entries The number of word entries of the source dictionary.
+ * @property {number} keys The number of hiragana keys.
+ * @property {number} katakana The number of katakana spellings.
+ * @property {number} kanji The number of kanji spellings.
+ * @property {number} emptyKanji The number of hiragana keys without kanji spellings.
+ */
+
+/**
+ * Calculates the statistics of a converted dictionary.
+ * @param {Object} data The converted dictionary.
+ * @param {number} entries The number of word entries of the source dictionary.
+ * @return {Stats} Returns the statistics.
+ */
+function createStats(data, entries) {
+    const stats = { entries, keys: 0, katakana: 0, kanji: 0, emptyKanji: 0 };
+    Object.values(data.words).forEach(word => {
+        stats.keys++;
+        stats.katakana += word.katakana.length;
+        stats.kanji += word.kanji.length;
+        if (word.kanji.length === 0) stats.emptyKanji++;
+    });
+    return stats;
+}
+
+/**
+ * Reads the statistics of a previous release.
+ * @param {string} filePath The path of the statistics JSON file.
+ * @return {Stats|null} Returns the statistics or null if the file does not exist or is invalid.
+ */
+function readStats(filePath) {
+    try {
+        if (fs.existsSync(filePath) === false) return null;
+        return JSON.parse(fs.readFileSync(filePath, 'utf8')).stats || null;
+    } catch (error) {
+        logger.warn('Ignoring the invalid statistics of the previous release.', error);
+        return null;
+    }
+}
+
+/**
+ * Writes the statistics of a release.
+ * @param {string} filePath The path of the statistics JSON file.
+ * @param {Stats} stats The statistics.
+ * @param {{version: string, dictDate: string}} data The converted dictionary, which provides the version and date.
+ */
+function writeStats(filePath, stats, data) {
+    fs.writeFileSync(filePath, JSON.stringify({ version: data.version, dictDate: data.dictDate, stats }, null, 2), 'utf8');
+}
+
+/**
+ * Prints the statistics and compares them with the statistics of the previous release.
+ * @param {Stats} stats The statistics.
+ * @param {Stats|null} previous The statistics of the previous release or null.
+ * @return {string[]} Returns the warnings about values which decreased by more than 5 percent.
+ */
+function printStats(stats, previous) {
+    const warnings = [];
+    logger.info('Statistics' + (previous ? ' (compared to the previous release)' : '') + ':');
+    Object.entries(stats).forEach(([key, value]) => {
+        let line = `  ${key.padEnd(12)} ${String(value).padStart(10)}`;
+        if (previous && typeof previous[key] === 'number') {
+            const difference = value - previous[key];
+            line += ` ${(difference >= 0 ? '+' : '') + difference}`.padStart(10);
+            // Fewer keys without kanji are an improvement
+            if (key !== 'emptyKanji' && previous[key] > 0 && difference / previous[key] < -maxDecrease) {
+                warnings.push(`The number of ${key} decreased from ${previous[key]} to ${value}.`);
+            }
+        }
+        logger.info(line);
+    });
+    warnings.forEach(warning => logger.warn(`Warning: ${warning}`));
+    return warnings;
+}
+
+/**
+ * Returns the sizes of the outputs, relative to the size of the JSON output.
+ * @param {import('./convert.js').OutputFile[]} outputs The outputs.
+ * @return {{type: string, file: string|null, size: number, ratio: number|null, sha256: string}[]} Returns the sizes.
+ */
+function getSizes(outputs) {
+    const json = outputs.find(output => output.type === 'json');
+    return outputs.map(output => ({
+        type: output.type,
+        // The shards are named by their folder, since all of them have an index.json
+        file: output.path ? path.basename((output.type === 'shards') ? path.dirname(output.path) : output.path) : null,
+        size: output.size,
+        ratio: json ? Math.round(output.size / json.size * 10000) / 10000 : null,
+        sha256: output.sha256,
+    }));
+}
+
+/**
+ * Writes the size report of the outputs of a release.
+ * @param {string} filePath The path of the size report JSON file.
+ * @param {import('./convert.js').OutputFile[]} outputs The outputs.
+ * @param {{version: string, dictDate: string}} data The converted dictionary, which provides the version and date.
+ */
+function writeSizes(filePath, outputs, data) {
+    fs.writeFileSync(filePath, JSON.stringify({ version: data.version, dictDate: data.dictDate, outputs: getSizes(outputs) }, null, 2), 'utf8');
+}
+
+/**
+ * Prints the sizes of the outputs and their ratio to the size of the JSON output.
+ * @param {import('./convert.js').OutputFile[]} outputs The outputs.
+ */
+function printSizes(outputs) {
+    logger.info('Output sizes:');
+    getSizes(outputs).forEach(({ type, file, size, ratio }) => {
+        const percent = (ratio === null) ? '' : `${(ratio * 100).toFixed(1)} %`.padStart(9);
+        logger.info(`  ${(file || type).padEnd(28)} ${String(size).padStart(12)} bytes${percent}`);
+    });
+}
+
+module.exports = { createStats, readStats, writeStats, printStats, writeSizes, printSizes };
@@ -1,68 +1,153 @@
+const http = require('http');
 const https = require('https');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const stream = require('stream');
 const zlib = require('zlib');
 const tar = require('tar');
-const package = require('../package.json');
-
-// Get the tag name  from the command line (index 2).
-const _tagArg = process.argv[2];
+const logger = require('./logger.js');
 
 const owner = 'scriptin';
 const repo = 'jmdict-simplified';
-const prefix = 'jmdict-all-';
 const extension = 'json.tgz';
 const dataFolder = '../data';
-const _tag = (_tagArg) ? _tagArg : 'latest';
+const defaultLanguage = 'all';
+const defaultApiUrl = 'https://api.github.com';
+// The number of downloaded bytes between two progress events
+const progressBytes = 1024 * 1024;
+// The time in milliseconds without any data after which a download attempt is aborted
+const requestTimeout = 30000;
+
+/**
+ * @typedef {Object} SourceAsset
+ * @property {string} tag The release tag name of the asset.
+ * @property {string} name The file name of the asset.
+ * @property {number|undefined} size The size of the asset in bytes.
+ * @property {string|undefined} digest The digest of the asset as "<algorithm>:<hex>".
+ * @property {boolean} isRemote True if the asset has to be downloaded.
+ * @property {string} location The download URL of a remote asset or the path of a local asset.
+ */
+
+/**
+ * @typedef {Object} UpdateResult
+ * @property {boolean} success True if the source dictionary was updated.
+ * @property {string} [tag] The release tag name of the asset.
+ * @property {string} [asset] The file name of the asset.
+ * @property {string} [digest] The digest of the asset as "<algorithm>:<hex>", which is calculated if the release has none.
+ * @property {string|null} file The file name of the source JSON file in the data folder, which can be passed to `convert()`.
+ * @property {string|null} path The path of the source JSON file.
+ * @property {string[]} warnings The warnings of the update.
+ * @property {string[]} errors The errors of the update.
+ */
 
 /**
- * Runs the update function if the script is executed via npm run.
+ * Updates the source dictionary for a given release tag name. The download progress is reported as "download" event.
+ * @param {string} [tag=latest] The tag name of the release. Default is "latest"
+ * @param {Object} [options] The update options, which also accepts the callbacks of `ScopeOptions` of `logger.js`.
+ * @param {string} [options.lang=all] The language of the source dictionary asset (e.g. "eng", "ger" or "all").
+ * @param {string} [options.source] The source of the asset: the base URL of a GitHub API mirror, a local directory
+ * containing the assets or the path of an already downloaded asset. If undefined the GitHub API is used.
+ * @param {SourceAsset} [options.asset] An asset which was already resolved with `resolveAsset()`.
+ * @param {string} [options.dataDir] The folder of the source dictionaries, which is created if needed. Default is the `data` folder of this package.
+ * @return {Promise<UpdateResult>} Returns a promise which resolves to the result of the update.
  */
-function main() {
-    console.log('*******************************************************************************');
-    console.log(`Updating the source dictionary for "${package.name}"`);
-    console.log(`Version: ${package.version}`);
-    console.log('*******************************************************************************');
-    update(_tag);
+function update(tag = 'latest', options = {}) {
+    return logger.withScope(options, async (scope) => {
+        const result = { success: false, file: null, path: null, warnings: scope.warnings, errors: scope.errors };
+        const asset = options.asset || await resolveAsset(tag, options);
+        if (asset === null) return result;
+        Object.assign(result, { tag: asset.tag, asset: asset.name });
+        const outputFolder = options.dataDir || path.join(__dirname, dataFolder);
+        try {
+            fs.mkdirSync(outputFolder, { recursive: true });
+        } catch (error) {
+            logger.error(`Could not create the data folder "${outputFolder}".`, error);
+            return result;
+        }
+        let file;
+        if (asset.isRemote) {
+            file = await downloadAsset(asset.location, outputFolder, asset.name, { size: asset.size, digest: asset.digest });
+            if (file === null) {
+                logger.error(`Could not download "${asset.name}".`);
+                return result;
+            }
+        } else {
+            file = asset.location;
+            logger.info(`Using the local asset "${file}"`);
+        }
+        // Older releases have no digest, so the downloaded asset is hashed before it is removed
+        result.digest = asset.digest || await hashFile(file);
+        const files = await unpackAsset(file, outputFolder);
+        // Only remove downloaded assets, local assets are kept
+        if (asset.isRemote && fs.existsSync(file)) {
+            try {
+                fs.rmSync(file);
+            } catch (error) {
+                logger.error(error);
+                return result;
+            }
+        }
+        if (Array.isArray(files) === false || files.length === 0) return result;
+        // The file name can be passed to the convert script
+        return Object.assign(result, { success: true, file: files[0], path: path.join(outputFolder, files[0]) });
+    });
 }
 
 /**
- * Updates the source dictionary for a given release tag name.
+ * Resolves the source dictionary asset for a given release tag name without downloading it.
  * @async
  * @param {string} [tag=latest] The tag name of the release. Default is "latest"
- * @return {Promise<string|null>} Returns a promise which resolves to the filename of the downloaded source JSON file or null.
+ * @param {Object} [options] The update options.
+ * @param {string} [options.lang=all] The language of the source dictionary asset (e.g. "eng", "ger" or "all").
+ * @param {string} [options.source] The source of the asset: the base URL of a GitHub API mirror, a local directory
+ * containing the assets or the path of an already downloaded asset. If undefined the GitHub API is used.
+ * @return {Promise<SourceAsset|null>} Returns a promise which resolves to the asset or null.
  */
-async function update(tag = _tag) {
+async function resolveAsset(tag = 'latest', options = {}) {
     if (typeof tag !== 'string') {
-        console.error('Please supply a valid release tag name.');
+        logger.error('Please supply a valid release tag name.');
         return null;
     }
-    console.log(`Updating source dictionary to release tag "${tag}"`);
-    const asset = await getAsset(owner, repo, prefix, extension, tag);
-    if (asset === null) {
-        console.error(`Could not find any assets starting with "${prefix}" and ending with "${extension}" for tag "${tag}"`);
+    const lang = options.lang || defaultLanguage;
+    if (/^[a-z]{3}$/.test(lang) === false) {
+        logger.error(`Please supply a valid language code instead of "${lang}".`);
         return null;
     }
-    const url = asset.browser_download_url;
-    const fileName = asset.name;
-    const outputFolder = path.join(__dirname, dataFolder);
-    const file = await downloadAsset(url, outputFolder, fileName);
-    if (file === null) {
-        console.error(`Could not download "${fileName}}".`);
-        return null;
-    }
-    const files = await unpackAsset(file, outputFolder);
-    const filePath = path.join(outputFolder, fileName);
-    if (fs.existsSync(filePath)) {
-        try {
-            fs.rmSync(filePath);
-        } catch (error) {
-            console.error(error);
+    // The version follows the language, which excludes e.g. "jmdict-eng-common-" for "eng"
+    const prefix = new RegExp(`^jmdict-${lang}-\\d`);
+    const source = options.source || defaultApiUrl;
+    logger.info(`Updating source dictionary to release tag "${tag}" and language "${lang}" from "${source}"`);
+    if (/^https?:\/\//.test(source)) {
+        const asset = await getAsset(owner, repo, prefix, extension, tag, source);
+        if (asset === null) {
+            logger.error(`Could not find any assets starting with "jmdict-${lang}-" and ending with "${extension}" for tag "${tag}"`);
             return null;
         }
+        return {
+            tag: asset.tag_name,
+            name: asset.name,
+            size: asset.size,
+            digest: asset.digest || undefined,
+            isRemote: true,
+            location: asset.browser_download_url,
+        };
     }
-    // We return the filename name which can be passed to the convert script
-    return (Array.isArray(files) && files.length > 0) ? files[0] : null;
+    const file = findLocalAsset(source, prefix, extension, tag);
+    if (file === null) {
+        logger.error(`Could not find any local assets starting with "jmdict-${lang}-" and ending with "${extension}" for tag "${tag}" in "${source}"`);
+        return null;
+    }
+    const name = path.basename(file);
+    return {
+        // The tag is part of the asset name, e.g. "jmdict-all-3.5.0+20240902122037.json.tgz"
+        tag: name.replace(/^jmdict-[a-z]{3}-/, '').replace(`.${extension}`, ''),
+        name,
+        size: getFileSize(file),
+        digest: await hashFile(file),
+        isRemote: false,
+        location: file,
+    };
 }
 
 /**
@@ -70,18 +155,20 @@ async function update(tag = _tag) {
  * filtering by filename prefix and extension.
  * @param {string} owner The GitHub username or organization that owns the repository.
  * @param {string} repo The name of the repository.
- * @param {string} prefix The prefix the asset filename must start with (case-sensitive). If null/undefined/empty, no prefix filtering is applied.
+ * @param {string|RegExp} prefix The prefix the asset filename must start with (case-sensitive) or a pattern it must match. If null/undefined/empty, no prefix filtering is applied.
  * @param {string} ext The extension the asset filename must end with (case-sensitive). If null/undefined/empty, no extension filtering is applied.  Include the leading dot (e.g., ".zip", ".exe").
  * @param {string} [tag=latest] The release tag name. Default is "latest".
- * @returns {Promise<string|null>} A promise that resolves to the download URL (string) of the *first* asset or null.
+ * @param {string} [baseUrl=https://api.github.com] The base URL of the GitHub API or a mirror of it.
+ * @returns {Promise<Object|null>} A promise that resolves to the *first* asset (with `name`, `browser_download_url` and the `tag_name` of the release) or null.
  */
-function getAsset(owner, repo, prefix, ext, tag = "latest") {
+function getAsset(owner, repo, prefix, ext, tag = "latest", baseUrl = defaultApiUrl) {
     return new Promise((resolve, reject) => {
         try {
+            const apiBaseUrl = baseUrl.replace(/\/+$/, '');
             const apiUrl = (tag === 'latest')
-                ? `https://api.github.com/repos/${owner}/${repo}/releases/latest`
-                : `https://api.github.com/repos/${owner}/${repo}/releases/tags/${encodeURIComponent(tag)}`;
-            https.get(apiUrl, {
+                ? `${apiBaseUrl}/repos/${owner}/${repo}/releases/latest`
+                : `${apiBaseUrl}/repos/${owner}/${repo}/releases/tags/${encodeURIComponent(tag)}`;
+            getClient(apiUrl).get(apiUrl, {
                 headers: {
                     'User-Agent': 'Node.js GitHub Release Downloader' // Required by GitHub API
                 }
@@ -95,7 +182,7 @@ function getAsset(owner, repo, prefix, ext, tag = "latest") {
                         try {
                             const releaseData = JSON.parse(data);
                             if (!releaseData.assets || releaseData.assets.length === 0) {
-                                console.warn(`Warning: No assets found for the latest release of ${owner}/${repo}.`);
+                                logger.warn(`Warning: No assets found for the latest release of ${owner}/${repo}.`);
                                 return resolve(null);
                             }
                             const matchingAssets = releaseData.assets
@@ -104,7 +191,7 @@ function getAsset(owner, repo, prefix, ext, tag = "latest") {
                                     let prefixMatch = true;
                                     let extensionMatch = true;
                                     if (prefix) {
-                                        prefixMatch = filename.startsWith(prefix);
+                                        prefixMatch = (prefix instanceof RegExp) ? prefix.test(filename) : filename.startsWith(prefix);
                                     }
                                     if (ext) {
                                         extensionMatch = filename.endsWith(ext);
@@ -112,100 +199,252 @@ function getAsset(owner, repo, prefix, ext, tag = "latest") {
                                     return prefixMatch && extensionMatch;
                                 });
                             if (matchingAssets.length > 0) {
-                                return resolve(matchingAssets[0]); // Resolve with the first match
+                                // Resolve with the first match and keep the tag name of the release
+                                return resolve({ ...matchingAssets[0], tag_name: releaseData.tag_name });
                             } else {
                                 return resolve(null);
                             }
                         } catch (error) {
-                            console.error("Error parsing JSON.", error);
+                            logger.error("Error parsing JSON.", error);
                             return resolve(null);
                         }
                     } else {
-                        console.error(`GitHub API request failed with status ${res.statusCode}`);
+                        logger.error(`GitHub API request failed with status ${res.statusCode}`);
                         return resolve(null);
                     }
                 });
             }).on('error', (error) => {
-                console.error("Error fetching release data.", error);
+                logger.error("Error fetching release data.", error);
                 resolve(null);
             });
         } catch (error) {
-            console.error('Unhandled error:', error);
+            logger.error('Unhandled error:', error);
             return resolve(null);
         }
     });
 }
 
 /**
- * Downloads the given file URL to a given destination directory.
+ * Downloads the given file URL to a given destination directory. The file is downloaded to a temporary ".part" file first,
+ * which is verified against the expected size and digest and then renamed to the final file name. Interrupted downloads
+ * are retried with an increasing delay and resumed with a HTTP range request.
  * @param {string} fileUrl The file URL to download.
  * @param {string} downloadDir The directory to save the downloaded file.
  * @param {string} [filename] The filename of the downloaded file. If undefined the filename will be extracted from the file URL.
+ * @param {Object} [options] The download options.
+ * @param {number} [options.size] The expected size of the file in bytes, e.g. the `size` of a GitHub release asset.
+ * @param {string} [options.digest] The expected digest of the file as "<algorithm>:<hex>", e.g. the `digest` of a GitHub release asset.
+ * @param {number} [options.retries=3] The number of retries after a failed download attempt.
+ * @param {number} [options.retryDelay=1000] The delay before the first retry in milliseconds, which is doubled for each further retry.
+ * @param {number} [options.timeout=30000] The time in milliseconds without any data after which a download attempt fails.
  * @return {Promise<string|null>} Returns a promise which resolves the path of the downloaded file or null. 
  */
-function downloadAsset(fileUrl, downloadDir, filename) {
-    return new Promise((resolve, reject) => {
-        try {
-            if (typeof fileUrl !== 'string' || fileUrl.length === 0) {
-                console.error(`Provide a valid file url!`);
-                return resolve(null);
+async function downloadAsset(fileUrl, downloadDir, filename, options = {}) {
+    try {
+        if (typeof fileUrl !== 'string' || fileUrl.length === 0) {
+            logger.error(`Provide a valid file url!`);
+            return null;
+        }
+        if (!fs.existsSync(downloadDir)) {
+            logger.error(`Download directory "${downloadDir}" does not exist.`);
+            return null;
+        }
+        const { size, digest, retries = 3, retryDelay = 1000, timeout = requestTimeout } = options;
+        const fileName = filename || path.basename(new URL(fileUrl).pathname);
+        const filePath = path.join(downloadDir, fileName);
+        const tempFilePath = filePath + '.part';
+        for (let attempt = 0; attempt <= retries; attempt++) {
+            if (attempt > 0) {
+                const delay = retryDelay * Math.pow(2, attempt - 1);
+                logger.warn(`Retrying the download of "${fileName}" in ${delay} ms (attempt ${attempt} of ${retries})`);
+                await new Promise(resolve => setTimeout(resolve, delay));
             }
-            if (!fs.existsSync(downloadDir)) {
-                console.error(`Download directory "${downloadDir}" does not exist.`);
-                return resolve(null);
+            const downloaded = getFileSize(tempFilePath);
+            // A complete temporary file from a previous attempt only needs to be verified
+            const isComplete = (typeof size === 'number' && downloaded === size) ||
+                (await downloadRange(fileUrl, tempFilePath, downloaded, timeout));
+            if (isComplete === false) continue;
+            const actualSize = getFileSize(tempFilePath);
+            if (typeof size === 'number' && actualSize !== size) {
+                logger.warn(`The size of "${fileName}" is ${actualSize} bytes instead of ${size} bytes.`);
+                // A truncated file can be resumed, a larger file is corrupt
+                if (actualSize > size) fs.rmSync(tempFilePath, { force: true });
+                continue;
             }
-            // Helper function to perform the download (or redirect)
-            const doDownload = (downloadURL, redirectCount = 0) => {
-                if (redirectCount > 5) { // Limit redirects to prevent infinite loops
-                    console.error("[downloadAsset]: Too many redirects");
-                    return resolve(null);
-                }
-                https.get(downloadURL, {
-                    headers: {
-                        'User-Agent': 'Node.js Download Agent', // Some GitHub servers require a User-Agent
-                    },
-                    // Necessary to handle redirects:
-                    followRedirects: false,
-                }, (response) => {
-                    if (response.statusCode >= 200 && response.statusCode < 300) {
-                        const finalUrl = downloadURL;
-                        const fileName = filename || path.basename(new URL(finalUrl).pathname);
-                        const filePath = path.join(downloadDir, fileName);
-                        const file = fs.createWriteStream(filePath);
-                        response.pipe(file);
-                        file.on('finish', () => {
-                            file.close();
-                            console.log(`Downloaded "${filename}" (via ${redirectCount} redirects) to "${filePath}"`);
-                            return resolve(filePath);
-                        });
-                        file.on('error', (error) => {
-                            console.error(`Error writing file: ${error.message}`);
-                            fs.unlink(filePath, () => { }); // Try to delete the partially downloaded file
-                            return resolve(null);
-                        });
-                    } else if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location) {
-                        // Handle redirect
-                        const redirectURL = response.headers.location;
-                        // console.log(`Redirecting to: ${redirectURL}`);
-                        doDownload(redirectURL, redirectCount + 1);  // Recursive call for redirect
-                    } else {
-                        console.error(`Download failed with status code: ${response.statusCode}`);
-                        return resolve(null);
-                    }
-                }).on('error', (error) => {
-                    console.error(`Error during download: ${error.message}`);
-                    return resolve(null);
-                });
-            };
-            // Start the download process
-            doDownload(fileUrl);
-        } catch (error) {
-            console.log('Unhandled error:', error);
-            return resolve(null);
+            if (typeof digest === 'string' && digest.length > 0 && (await verifyDigest(tempFilePath, digest)) === false) {
+                logger.warn(`The digest of "${fileName}" does not match "${digest}".`);
+                fs.rmSync(tempFilePath, { force: true });
+                continue;
+            }
+            fs.renameSync(tempFilePath, filePath);
+            logger.info(`Downloaded "${fileName}" (${actualSize} bytes) to "${filePath}"`);
+            return filePath;
         }
+        logger.error(`Download of "${fileName}" failed after ${retries + 1} attempts.`);
+        return null;
+    } catch (error) {
+        logger.error('Unhandled error:', error);
+        return null;
+    }
+}
+
+/**
+ * Downloads the given file URL, starting at the given byte offset, and appends it to a file.
+ * @param {string} fileUrl The file URL to download.
+ * @param {string} filePath The path of the (partially) downloaded file.
+ * @param {number} [start=0] The byte offset to start the download at, which is the size of the partially downloaded file.
+ * @param {number} [timeout=30000] The time in milliseconds without any data after which the request is aborted.
+ * @return {Promise<boolean>} Returns a promise which resolves true if the response was completely written to the file, otherwise false.
+ */
+function downloadRange(fileUrl, filePath, start = 0, timeout = requestTimeout) {
+    return new Promise((resolve, reject) => {
+        // Helper function to perform the download (or redirect)
+        const doDownload = (downloadURL, redirectCount = 0) => {
+            if (redirectCount > 5) { // Limit redirects to prevent infinite loops
+                logger.warn("[downloadAsset]: Too many redirects");
+                return resolve(false);
+            }
+            const headers = {
+                'User-Agent': 'Node.js Download Agent', // Some GitHub servers require a User-Agent
+            };
+            if (start > 0) headers['Range'] = `bytes=${start}-`;
+            let timeoutError = null;
+            const request = getClient(downloadURL).get(downloadURL, {
+                headers,
+                timeout,
+                // Necessary to handle redirects:
+                followRedirects: false,
+            }, (response) => {
+                if (response.statusCode >= 200 && response.statusCode < 300) {
+                    // The server sends the whole file if it does not support range requests
+                    const isResumed = (response.statusCode === 206);
+                    if (start > 0) logger.info(isResumed ? `Resuming the download at byte ${start}` : 'The server does not support resuming, restarting the download');
+                    const file = fs.createWriteStream(filePath, { flags: isResumed ? 'a' : 'w' });
+                    const contentLength = Number(response.headers['content-length']);
+                    const totalBytes = Number.isFinite(contentLength) ? contentLength + (isResumed ? start : 0) : undefined;
+                    let bytes = isResumed ? start : 0;
+                    let reported = bytes;
+                    response.on('data', chunk => {
+                        bytes += chunk.length;
+                        if (bytes - reported < progressBytes && bytes !== totalBytes) return;
+                        reported = bytes;
+                        logger.progress({ phase: 'download', file: path.basename(filePath, '.part'), bytes, totalBytes });
+                    });
+                    stream.pipeline(response, file, (error) => {
+                        if (error) {
+                            logger.warn(`Error during download: ${(timeoutError || error).message}`);
+                            return resolve(false);
+                        }
+                        return resolve(true);
+                    });
+                } else if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location) {
+                    // Handle redirect
+                    response.resume(); // Discard the body of the redirect
+                    const redirectURL = new URL(response.headers.location, downloadURL).href;
+                    // logger.info(`Redirecting to: ${redirectURL}`);
+                    doDownload(redirectURL, redirectCount + 1);  // Recursive call for redirect
+                } else {
+                    response.resume();
+                    logger.warn(`Download failed with status code: ${response.statusCode}`);
+                    // The partially downloaded file can not be resumed
+                    if (response.statusCode === 416) fs.rmSync(filePath, { force: true });
+                    return resolve(false);
+                }
+            });
+            // A stalled connection fails the attempt, so it can be retried
+            request.on('timeout', () => {
+                timeoutError = new Error(`No data received for ${timeout} ms`);
+                request.destroy(timeoutError);
+            });
+            request.on('error', (error) => {
+                // An error of the response is already reported by its pipeline
+                if (request.res) return;
+                logger.warn(`Error during download: ${error.message}`);
+                return resolve(false);
+            });
+        };
+        // Start the download process
+        doDownload(fileUrl);
     });
 }
 
+/**
+ * Verifies the digest of a file.
+ * @param {string} filePath The path of the file.
+ * @param {string} digest The expected digest as "<algorithm>:<hex>", e.g. "sha256:2c26b46b...".
+ * @return {Promise<boolean>} Returns a promise which resolves true if the digest matches, otherwise false.
+ */
+async function verifyDigest(filePath, digest) {
+    const [algorithm, expected] = digest.split(':');
+    if (crypto.getHashes().includes(algorithm) === false) {
+        logger.warn(`Unsupported digest algorithm "${algorithm}", skipping the verification.`);
+        return true;
+    }
+    const actual = await hashFile(filePath, algorithm);
+    return actual === `${algorithm}:${String(expected).toLowerCase()}`;
+}
+
+/**
+ * Calculates the digest of a file.
+ * @param {string} filePath The path of the file.
+ * @param {string} [algorithm=sha256] The hash algorithm.
+ * @return {Promise<string|null>} Returns a promise which resolves to the digest as "<algorithm>:<hex>" or null.
+ */
+function hashFile(filePath, algorithm = 'sha256') {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash(algorithm);
+        fs.createReadStream(filePath)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(`${algorithm}:${hash.digest('hex')}`))
+            .on('error', (error) => {
+                logger.error(`Error reading the file "${filePath}":`, error);
+                return resolve(null);
+            });
+    });
+}
+
+/**
+ * Returns the size of a file.
+ * @param {string} filePath The path of the file.
+ * @return {number} Returns the size in bytes or 0 if the file does not exist.
+ */
+function getFileSize(filePath) {
+    return fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+}
+
+/**
+ * Finds a local asset, which is either the given archive file or the matching archive in the given directory.
+ * If the tag is "latest" the archive with the highest version is used, otherwise the archive name must contain the tag.
+ * @param {string} source The path of a local asset or of a directory containing the assets.
+ * @param {RegExp} prefix The pattern the asset filename must match.
+ * @param {string} ext The extension the asset filename must end with.
+ * @param {string} [tag=latest] The release tag name.
+ * @return {string|null} Returns the path of the local asset or null.
+ */
+function findLocalAsset(source, prefix, ext, tag = 'latest') {
+    try {
+        if (fs.existsSync(source) === false) return null;
+        if (fs.statSync(source).isFile()) return path.resolve(source);
+        const fileNames = fs.readdirSync(source)
+            .filter(fileName => prefix.test(fileName) && fileName.endsWith(ext))
+            .filter(fileName => tag === 'latest' || fileName.includes(tag))
+            .sort((a, b) => b.localeCompare(a, undefined, { numeric: true }));
+        return (fileNames.length > 0) ? path.resolve(source, fileNames[0]) : null;
+    } catch (error) {
+        logger.error('Error reading the local assets.', error);
+        return null;
+    }
+}
+
+/**
+ * Returns the HTTP or HTTPS client for a URL.
+ * @param {string} url The URL.
+ * @return {Object} Returns the `http` or `https` module.
+ */
+function getClient(url) {
+    return url.startsWith('http:') ? http : https;
+}
+
 /**
  * Unpacks a tar.gz file using the `tar` package and returns a list of extracted filenames.
  * @param {string} tarGzFilePath - The path to the tar.gz file.
@@ -216,11 +455,11 @@ function unpackAsset(tarGzFilePath, destinationDir) {
     return new Promise((resolve, reject) => {
         try {
             if (fs.existsSync(tarGzFilePath) === false) {
-                console.error('Archive file does not exist!');
+                logger.error('Archive file does not exist!');
                 return resolve(null);
             }
             if (fs.existsSync(destinationDir) === false) {
-                console.error('Destination directory does not exist!');
+                logger.error('Destination directory does not exist!');
                 return resolve(null);
             }
             const filenames = [];
@@ -238,7 +477,7 @@ function unpackAsset(tarGzFilePath, destinationDir) {
                 filter: (filePath, entry) => { // Prevent transversal
                     const absolutePath = path.join(destinationDir, filePath);
                     if (!absolutePath.startsWith(destinationDir)) {
-                        console.warn(`Attempted path traversal: ${filePath}`);
+                        logger.warn(`Attempted path traversal: ${filePath}`);
                         return false;
                     }
                     return true;
@@ -247,7 +486,7 @@ function unpackAsset(tarGzFilePath, destinationDir) {
             const handleError = (error, source) => {
                 if (isErrored) return; // Prevent double resolving/rejecting
                 isErrored = true;
-                console.error(`Error during "${source}"`, error);
+                logger.error(`Error during "${source}"`, error);
                 readStream.destroy();
                 gunzipStream.destroy();
                 tarExtractStream.abort();
@@ -258,28 +497,16 @@ function unpackAsset(tarGzFilePath, destinationDir) {
             tarExtractStream.on('error', (error) => handleError(error, 'tarExtractStream'));
             tarExtractStream.on('finish', () => {
                 if (isErrored) return; // Prevent resolving if already errored
-                console.log(`Unpacked ${filenames.length} files to "${destinationDir}"`);
+                logger.info(`Unpacked ${filenames.length} files to "${destinationDir}"`);
                 return resolve(filenames);
             });
             readStream
                 .pipe(gunzipStream)
                 .pipe(tarExtractStream);
         } catch (error) {
-            console.error(`Unhandled error:`, error);
+            logger.error(`Unhandled error:`, error);
         }
     });
 }
 
-/**
- * Checks if the script was executed directly via npm run.
- * @return {boolean}
- */
-function isRunningViaNpmRun() {
-    return require.main === module &&
-        process.env.npm_lifecycle_event !== undefined &&
-        process.env.npm_package_json !== undefined;
-}
-
-if (isRunningViaNpmRun() === true) main();
-
-module.exports = { update };
+module.exports = { update, resolveAsset, getAsset, downloadAsset, unpackAsset, hashFile };
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { build, getConverterVersion } = require('../src/build.js');
+const { readManifest } = require('../src/manifest.js');
+const { hashFile } = require('../src/update.js');
+const { createTempDir, createAssets, releaseTag } = require('./helpers.js');
+
+test('build', async (t) => {
+    const assetsDir = createTempDir();
+    const dataDir = createTempDir();
+    const outDir = createTempDir();
+    const assetFileName = Object.keys(createAssets(assetsDir.dir)).find(name => name.startsWith('jmdict-eng-3'));
+    const outputFileName = 'simple.eng.min.json';
+    const options = { source: assetsDir.dir, lang: 'eng', dataDir: dataDir.dir, outDir: outDir.dir, silent: true };
+    t.after(() => [assetsDir, dataDir, outDir].forEach(temp => temp.remove()));
+
+    await t.test('builds a release and records it in the manifest', async () => {
+        const result = await build(releaseTag, options);
+        assert.strictEqual(result.success, true, result.errors.join('\n'));
+        assert.strictEqual(result.upToDate, false);
+        assert.strictEqual(result.asset, assetFileName);
+        const entry = readManifest(outDir.dir).builds[outputFileName];
+        assert.strictEqual(entry.assetDigest, await hashFile(path.join(assetsDir.dir, assetFileName)));
+        assert.strictEqual(entry.converterVersion, getConverterVersion());
+        assert.strictEqual(entry.outputs[outputFileName], await hashFile(path.join(outDir.dir, outputFileName)));
+    });
+
+    await t.test('skips a build which is up to date', async () => {
+        const result = await build(releaseTag, options);
+        assert.strictEqual(result.success, true, result.errors.join('\n'));
+        assert.strictEqual(result.upToDate, true);
+        assert.deepStrictEqual(result.outputs, []);
+    });
+
+    await t.test('builds again with force or a filter', async () => {
+        const forced = await build(releaseTag, { ...options, force: true });
+        assert.strictEqual(forced.success, true, forced.errors.join('\n'));
+        assert.strictEqual(forced.upToDate, false);
+        const filtered = await build(releaseTag, { ...options, filter: () => true });
+        assert.strictEqual(filtered.success, true, filtered.errors.join('\n'));
+        assert.strictEqual(filtered.upToDate, false);
+    });
+
+    await t.test('builds again with changed options', async () => {
+        const result = await build(releaseTag, { ...options, gzipLevel: 9 });
+        assert.strictEqual(result.success, true, result.errors.join('\n'));
+        assert.strictEqual(result.upToDate, false);
+        assert.strictEqual(readManifest(outDir.dir).builds[outputFileName].gzipLevel, 9);
+        assert.strictEqual((await build(releaseTag, { ...options, gzipLevel: 9 })).upToDate, true);
+    });
+
+    await t.test('builds again if an output was modified', async () => {
+        fs.appendFileSync(path.join(outDir.dir, `${outputFileName}.gz`), 'modified');
+        const result = await build(releaseTag, { ...options, gzipLevel: 9 });
+        assert.strictEqual(result.success, true, result.errors.join('\n'));
+        assert.strictEqual(result.upToDate, false);
+    });
+
+    await t.test('returns the version of the converter', () => {
+        assert.match(getConverterVersion(), /^\d+\.\d+\.\d+\+[0-9a-f]{12}$/);
+        assert.strictEqual(getConverterVersion(), getConverterVersion());
+    });
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const childProcess = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { sourceFilePath, releaseTag, createTempDir, createAssets } = require('./helpers.js');
+
+const binFilePath = path.join(__dirname, '..', 'bin', 'jmdict-simple.js');
+
+/**
+ * Runs the command line interface.
+ * @param {string[]} args The command line arguments.
+ * @return {{status: number, stdout: string, stderr: string}} Returns the exit code and the output.
+ */
+function run(args) {
+    return childProcess.spawnSync(process.execPath, [binFilePath, ...args], { encoding: 'utf8', timeout: 60000 });
+}
+
+test('cli', async (t) => {
+    const temp = createTempDir();
+    const outDir = path.join(temp.dir, 'release');
+    t.after(() => temp.remove());
+
+    await t.test('converts with exit code 0', () => {
+        const result = run(['convert', sourceFilePath, '--out-dir', outDir]);
+        assert.strictEqual(result.status, 0, result.stderr);
+        assert.match(result.stdout, /The convert command was successful\./);
+        assert.ok(fs.existsSync(path.join(outDir, 'simple.eng.min.json')));
+        assert.ok(fs.existsSync(path.join(outDir, 'simple.eng.min.json.gz')));
+    });
+
+    await t.test('skips the gz file with --no-gzip', () => {
+        const noGzipOutDir = path.join(temp.dir, 'no-gzip');
+        const result = run(['convert', sourceFilePath, '--out-dir', noGzipOutDir, '--no-gzip']);
+        assert.strictEqual(result.status, 0, result.stderr);
+        assert.ok(fs.existsSync(path.join(noGzipOutDir, 'simple.eng.min.json')));
+        assert.strictEqual(fs.existsSync(path.join(noGzipOutDir, 'simple.eng.min.json.gz')), false);
+    });
+
+    await t.test('only prints errors with --quiet', () => {
+        const result = run(['lookup', 'にほん', '--file', path.join(outDir, 'simple.eng.min.json'), '--quiet']);
+        assert.strictEqual(result.status, 0, result.stderr);
+        assert.deepStrictEqual(JSON.parse(result.stdout), [{ hiragana: 'にほん', katakana: ['ニホン'], kanji: ['日本'] }]);
+        assert.strictEqual(result.stderr, '');
+        const failed = run(['lookup', 'xyz', '--file', path.join(outDir, 'simple.eng.min.json'), '--quiet']);
+        assert.strictEqual(failed.status, 1);
+        assert.strictEqual(failed.stdout, '');
+        assert.match(failed.stderr, /No entries were found for "xyz"\./);
+    });
+
+    await t.test('prints the result as JSON with --json', () => {
+        const result = run(['convert', sourceFilePath, '--out-dir', outDir, '--json']);
+        assert.strictEqual(result.status, 0, result.stderr);
+        const output = JSON.parse(result.stdout);
+        assert.strictEqual(output.command, 'convert');
+        assert.strictEqual(output.success, true);
+        assert.deepStrictEqual(output.stats, { entries: 8, keys: 10, katakana: 10, kanji: 10, emptyKanji: 2 });
+        // The log messages are JSON lines on stderr
+        const messages = result.stderr.trim().split('\n').map(line => JSON.parse(line));
+        assert.ok(messages.length > 0);
+        assert.ok(messages.every(message => typeof message.level === 'string' && typeof message.message === 'string'));
+    });
+
+    await t.test('builds a release tag with --tag', () => {
+        const assetsDir = path.join(temp.dir, 'assets');
+        fs.mkdirSync(assetsDir);
+        createAssets(assetsDir);
+        const args = ['build', '--tag', releaseTag, '--source', assetsDir, '--lang', 'eng', '--data-dir', path.join(temp.dir, 'data'), '--out-dir', path.join(temp.dir, 'build'), '--json'];
+        const result = run(args);
+        assert.strictEqual(result.status, 0, result.stderr);
+        const output = JSON.parse(result.stdout);
+        assert.strictEqual(output.tag, releaseTag);
+        assert.strictEqual(output.asset, `jmdict-eng-${releaseTag}.json.tgz`);
+        assert.strictEqual(output.upToDate, false);
+        assert.strictEqual(JSON.parse(run(args).stdout).upToDate, true);
+        const unknownTag = run(['update', '--tag', '1.0.0', '--source', assetsDir, '--data-dir', path.join(temp.dir, 'data'), '--json']);
+        assert.strictEqual(unknownTag.status, 1);
+        assert.strictEqual(JSON.parse(unknownTag.stdout).success, false);
+    });
+
+    await t.test('fails with exit code 2 for invalid arguments', () => {
+        const withoutCommand = run([]);
+        assert.strictEqual(withoutCommand.status, 2);
+        assert.match(withoutCommand.stdout, /^Usage: /);
+        const unknownCommand = run(['unknown']);
+        assert.strictEqual(unknownCommand.status, 2);
+        assert.match(unknownCommand.stderr, /Unknown command "unknown"\./);
+        const unknownOption = run(['convert', sourceFilePath, '--unknown']);
+        assert.strictEqual(unknownOption.status, 2);
+        assert.match(unknownOption.stderr, /Usage: \S+ convert <file>/);
+        const missingValue = run(['build', '--tag']);
+        assert.strictEqual(missingValue.status, 2);
+    });
+
+    await t.test('fails with exit code 1 for invalid entries', () => {
+        const source = JSON.parse(fs.readFileSync(sourceFilePath, 'utf8'));
+        source.words[1].kana[0].text = '';
+        const filePath = path.join(temp.dir, 'invalid.json');
+        fs.writeFileSync(filePath, JSON.stringify(source), 'utf8');
+        const result = run(['convert', filePath, '--out-dir', outDir]);
+        assert.strictEqual(result.status, 1, result.stderr);
+        assert.match(result.stderr, /words\[1\]\.kana\[0\]\.text must not be shorter than 1 characters \(id 1000002\)/);
+        assert.match(result.stderr, /The convert command failed\./);
+    });
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { encode, createReader } = require('../src/compact.js');
+const { load, readDictionary } = require('../src/lookup.js');
+const { convertFixture } = require('./helpers.js');
+
+test('compact dictionary', async (t) => {
+    const fixture = await convertFixture({ romaji: true });
+    t.after(fixture.remove);
+    const data = await readDictionary(path.join(fixture.dir, 'simple.eng.min.json'));
+    const json = await load(path.join(fixture.dir, 'simple.eng.min.json'));
+    const reader = await load(path.join(fixture.dir, 'simple.eng.min.bin'));
+    const keys = Object.keys(data.words);
+
+    await t.test('the converted file equals the encoded JSON output', () => {
+        assert.ok(fs.readFileSync(path.join(fixture.dir, 'simple.eng.min.bin')).equals(encode(data)));
+    });
+
+    await t.test('header', () => {
+        assert.strictEqual(reader.version, data.version);
+        assert.strictEqual(reader.dictDate, data.dictDate);
+        assert.strictEqual(reader.size, keys.length);
+    });
+
+    await t.test('lookup round-trips every entry', () => {
+        keys.forEach(key => assert.deepStrictEqual(reader.lookup(key), data.words[key], key));
+        assert.strictEqual(reader.lookup('にほ'), null);
+        assert.strictEqual(reader.lookup('ん'), null);
+        assert.strictEqual(reader.lookup(''), null);
+        assert.strictEqual(reader.lookup(undefined), null);
+    });
+
+    await t.test('prefix search matches the JSON dictionary', () => {
+        for (const prefix of ['に', 'にほ', 'にほん', 'か', 'こー', 'ぬ', 'ん']) {
+            assert.deepStrictEqual(reader.search(prefix, 10), json.search(prefix, 10), prefix);
+        }
+        assert.deepStrictEqual(reader.search('に', 2).map(result => result.hiragana), ['にっぽん', 'にほん']);
+        assert.deepStrictEqual(reader.search(''), []);
+    });
+
+    await t.test('reverse lookup matches the JSON dictionary', () => {
+        for (const text of ['日本', '日本語', '蛙', 'カエル', 'コーヒー', '猫']) {
+            assert.deepStrictEqual(reader.reverseLookup(text).sort(), json.reverseLookup(text).sort(), text);
+        }
+    });
+
+    await t.test('romaji lookup uses the romaji index', () => {
+        const indexed = createReader(encode({ ...data, romaji: { test: ['かえる', 'なま'] } }));
+        assert.deepStrictEqual(indexed.romajiLookup('test').map(result => result.hiragana), ['かえる', 'なま']);
+        const withoutIndex = createReader(encode({ ...data, romaji: undefined }));
+        assert.deepStrictEqual(withoutIndex.romajiLookup('test'), []);
+        assert.deepStrictEqual(withoutIndex.romajiLookup('kaeru').map(result => result.hiragana), ['かえる']);
+    });
+
+    await t.test('encodes the kanji texts of the extended profile', () => {
+        const extended = { version: '1', dictDate: '2025-01-01', words: { 'なま': { katakana: ['ナマ'], kanji: [{ text: '生', common: false, pos: [], gloss: [] }] } } };
+        assert.deepStrictEqual(createReader(encode(extended)).lookup('なま'), { katakana: ['ナマ'], kanji: ['生'] });
+    });
+
+    await t.test('rejects invalid buffers', () => {
+        assert.throws(() => createReader(Buffer.from('not a dictionary')), TypeError);
+        assert.throws(() => createReader('JMDS'), TypeError);
+        const buffer = encode(data);
+        buffer.writeUInt16LE(99, 4);
+        assert.throws(() => createReader(buffer), /version 99/);
+    });
+});
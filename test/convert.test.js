@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { convert } = require('../src/convert.js');
+const { readDictionary } = require('../src/lookup.js');
+const { sourceFilePath, createTempDir, convertFixture } = require('./helpers.js');
+
+test('convert', async (t) => {
+    await t.test('simple profile', async () => {
+        const fixture = await convertFixture();
+        try {
+            const data = await readDictionary(path.join(fixture.dir, 'simple.eng.min.json'));
+            assert.deepStrictEqual(data.words['にほん'], { katakana: ['ニホン'], kanji: ['日本'] });
+            assert.deepStrictEqual(data.words['こーひー'], { katakana: ['コーヒー'], kanji: [] });
+            // The simple profile contains all kanji of the entry
+            assert.deepStrictEqual(data.words['なま'].kanji, ['生き', '生']);
+            assert.deepStrictEqual(fixture.result.stats, { entries: 8, keys: 10, katakana: 10, kanji: 10, emptyKanji: 2 });
+        } finally {
+            fixture.remove();
+        }
+    });
+
+    await t.test('extended profile only ranks the kanji a reading applies to', async () => {
+        const fixture = await convertFixture({ profile: 'extended' });
+        try {
+            const data = await readDictionary(path.join(fixture.dir, 'extended.eng.min.json'));
+            assert.deepStrictEqual(data.words['なま'], {
+                katakana: ['ナマ'],
+                kanji: [{ text: '生', common: false, pos: ['adj-no'], gloss: ['raw'] }],
+                common: false,
+                pos: [],
+                gloss: [],
+            });
+            assert.deepStrictEqual(data.words['いき'].kanji.map(kanji => kanji.text), ['生き']);
+            assert.deepStrictEqual(data.words['にっぽん'].kanji, [{ text: '日本', common: true, pos: ['n'], gloss: ['Japan'] }]);
+            // Readings without kanji have their own glosses
+            assert.deepStrictEqual(data.words['こーひー'], { katakana: ['コーヒー'], kanji: [], common: true, pos: ['n'], gloss: ['coffee'] });
+        } finally {
+            fixture.remove();
+        }
+    });
+
+    await t.test('compressed variants, checksums and sizes', async () => {
+        const fixture = await convertFixture({ brotli: true, deflate: true });
+        try {
+            const filePath = (fileName) => path.join(fixture.dir, fileName);
+            const json = fs.readFileSync(filePath('simple.eng.min.json'));
+            assert.deepStrictEqual(zlib.gunzipSync(fs.readFileSync(filePath('simple.eng.min.json.gz'))), json);
+            assert.deepStrictEqual(zlib.brotliDecompressSync(fs.readFileSync(filePath('simple.eng.min.json.br'))), json);
+            assert.deepStrictEqual(zlib.inflateRawSync(fs.readFileSync(filePath('simple.eng.min.json.deflate'))), json);
+            const files = fixture.result.outputs.filter(output => output.checksumPath);
+            assert.deepStrictEqual(files.map(output => output.type), ['json', 'compact', 'gzip', 'brotli', 'deflate']);
+            files.forEach(output => {
+                const sha256 = crypto.createHash('sha256').update(fs.readFileSync(output.path)).digest('hex');
+                assert.strictEqual(output.sha256, sha256);
+                assert.strictEqual(fs.readFileSync(output.checksumPath, 'utf8'), `${sha256}  ${path.basename(output.path)}\n`);
+            });
+            const sizes = JSON.parse(fs.readFileSync(filePath('simple.eng.sizes.json'), 'utf8'));
+            assert.strictEqual(sizes.version, '3.6.1');
+            assert.deepStrictEqual(sizes.outputs, files.map(output => ({
+                type: output.type,
+                file: path.basename(output.path),
+                size: fs.statSync(output.path).size,
+                ratio: Math.round(fs.statSync(output.path).size / json.length * 10000) / 10000,
+                sha256: output.sha256,
+            })));
+            assert.strictEqual(sizes.outputs[0].ratio, 1);
+        } finally {
+            fixture.remove();
+        }
+    });
+
+    await t.test('reports every invalid entry with its id', async () => {
+        const temp = createTempDir();
+        try {
+            const source = JSON.parse(fs.readFileSync(sourceFilePath, 'utf8'));
+            source.words[1].kana[0].text = '';
+            delete source.words[4].sense;
+            const filePath = path.join(temp.dir, 'invalid.json');
+            fs.writeFileSync(filePath, JSON.stringify(source), 'utf8');
+            const result = await convert(filePath, { outDir: temp.dir, silent: true });
+            assert.strictEqual(result.success, false);
+            assert.deepStrictEqual(result.errors.slice(1), [
+                '  words[1].kana[0].text must not be shorter than 1 characters (id 1000002)',
+                '  words[4] must have the property "sense" (id 1000005)',
+            ]);
+            assert.deepStrictEqual(fs.readdirSync(temp.dir), ['invalid.json']);
+        } finally {
+            temp.remove();
+        }
+    });
+});
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const tar = require('tar');
+const { diffFiles, diffTags, diffDictionaries, formatReport } = require('../src/diff.js');
+const { convert } = require('../src/convert.js');
+const logger = require('../src/logger.js');
+const { sourceFilePath, createTempDir } = require('./helpers.js');
+
+const oldTag = '3.6.0+20250101122154';
+const newTag = '3.6.1+20250428122154';
+
+/**
+ * Writes two modified copies of the source dictionary of the tests. The old copy lacks "鉋", the new copy
+ * lacks "ディスク", spells "東京" with the old form "東亰" and adds the kanji "蝦" to "蛙".
+ * @param {string} dir The folder of the copies.
+ * @return {{oldFilePath: string, newFilePath: string}} Returns the paths of the copies.
+ */
+function createSources(dir) {
+    const source = JSON.parse(fs.readFileSync(sourceFilePath, 'utf8'));
+    const oldSource = { ...source, version: '3.6.0', dictDate: '2025-01-01', words: source.words.filter(word => word.id !== '1000006') };
+    const newSource = {
+        ...source,
+        words: source.words
+            .filter(word => word.id !== '1000007')
+            .map(word => {
+                if (word.id === '1000005') return { ...word, kanji: word.kanji.map(kanji => ({ ...kanji, text: '東亰' })) };
+                if (word.id === '1000008') return { ...word, kanji: [...word.kanji, { ...word.kanji[0], text: '蝦' }] };
+                return word;
+            }),
+    };
+    const oldFilePath = path.join(dir, `jmdict-eng-${oldTag}.json`);
+    const newFilePath = path.join(dir, `jmdict-eng-${newTag}.json`);
+    fs.writeFileSync(oldFilePath, JSON.stringify(oldSource), 'utf8');
+    fs.writeFileSync(newFilePath, JSON.stringify(newSource), 'utf8');
+    return { oldFilePath, newFilePath };
+}
+
+/**
+ * Checks the report of the comparison of the copies of `createSources()`.
+ * @param {import('../src/diff.js').DiffReport} report The diff report.
+ */
+function assertReport(report) {
+    assert.deepStrictEqual(report.from, { version: '3.6.0', dictDate: '2025-01-01' });
+    assert.deepStrictEqual(report.to, { version: '3.6.1', dictDate: '2025-04-28' });
+    assert.deepStrictEqual(report.summary, { added: 1, removed: 1, changed: 2 });
+    assert.deepStrictEqual(report.added, ['かんな']);
+    assert.deepStrictEqual(report.removed, ['でぃすく']);
+    assert.deepStrictEqual(report.changed, {
+        'とうきょう': { katakana: { added: [], removed: [] }, kanji: { added: ['東亰'], removed: ['東京'] } },
+        'かえる': { katakana: { added: [], removed: [] }, kanji: { added: ['蝦'], removed: [] } },
+    });
+}
+
+test('diff', async (t) => {
+    const temp = createTempDir();
+    const { oldFilePath, newFilePath } = createSources(temp.dir);
+    t.after(() => temp.remove());
+
+    await t.test('compares two dictionary files', async () => {
+        const outDirs = ['old', 'new'].map(name => path.join(temp.dir, name));
+        for (const [filePath, outDir] of [[oldFilePath, outDirs[0]], [newFilePath, outDirs[1]]]) {
+            const result = await convert(filePath, { outDir, silent: true });
+            assert.strictEqual(result.success, true, result.errors.join('\n'));
+        }
+        const report = await diffFiles(path.join(outDirs[0], 'simple.eng.min.json'), path.join(outDirs[1], 'simple.eng.min.json.gz'));
+        assertReport(report);
+        const unchanged = await diffFiles(path.join(outDirs[1], 'simple.eng.min.json'), path.join(outDirs[1], 'simple.eng.min.json.gz'));
+        assert.deepStrictEqual(unchanged.summary, { added: 0, removed: 0, changed: 0 });
+    });
+
+    await t.test('fails for missing files', async () => {
+        await logger.withScope({ silent: true }, async (scope) => {
+            assert.strictEqual(await diffFiles(oldFilePath), null);
+            assert.strictEqual(await diffFiles(path.join(temp.dir, 'missing.json'), newFilePath), null);
+            assert.strictEqual(scope.errors.length, 2);
+        });
+    });
+
+    await t.test('compares two release tags and removes the unpacked sources', async () => {
+        const assetsDir = path.join(temp.dir, 'assets');
+        const dataDir = path.join(temp.dir, 'data');
+        fs.mkdirSync(assetsDir);
+        [oldFilePath, newFilePath].forEach(filePath => {
+            const fileName = path.basename(filePath);
+            tar.c({ gzip: true, sync: true, cwd: temp.dir, file: path.join(assetsDir, `${fileName}.tgz`), portable: true }, [fileName]);
+        });
+        await logger.withScope({ silent: true }, async () => {
+            assertReport(await diffTags(oldTag, newTag, { lang: 'eng', source: assetsDir, dataDir }));
+        });
+        assert.deepStrictEqual(fs.readdirSync(dataDir), []);
+    });
+
+    await t.test('compares the kanji of the extended profile by text', () => {
+        const kanji = (text) => ({ text, common: true, pos: [], gloss: [] });
+        const report = diffDictionaries(
+            { version: '1', dictDate: '2025-01-01', words: { 'にほん': { katakana: [], kanji: [kanji('日本')] } } },
+            { version: '2', dictDate: '2025-04-28', words: { 'にほん': { katakana: ['ニホン'], kanji: [{ ...kanji('日本'), common: false }] } } },
+        );
+        assert.deepStrictEqual(report.changed, { 'にほん': { katakana: { added: ['ニホン'], removed: [] }, kanji: { added: [], removed: [] } } });
+    });
+
+    await t.test('formats a report', () => {
+        const report = diffDictionaries(
+            { version: '3.6.0', dictDate: '2025-01-01', words: { 'いぬ': { katakana: [], kanji: ['犬'] } } },
+            { version: '3.6.1', dictDate: '2025-04-28', words: { 'いぬ': { katakana: ['イヌ'], kanji: [] }, 'ねこ': { katakana: [], kanji: ['猫'] }, 'とり': { katakana: [], kanji: ['鳥'] } } },
+        );
+        assert.strictEqual(formatReport(report), [
+            'From version 3.6.0 (2025-01-01) to version 3.6.1 (2025-04-28)',
+            'Added keys: 2, removed keys: 0, changed keys: 1',
+            '',
+            'Added keys:',
+            '  + ねこ',
+            '  + とり',
+            '',
+            'Changed keys:',
+            '  ~ いぬ: katakana +イヌ, kanji -犬',
+        ].join('\n'));
+        assert.match(formatReport(report, 1), /Added keys:\n {2}\+ ねこ\n {2}\.\.\. and 1 more\n/);
+    });
+});
@@ -0,0 +1,152 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { validateFilterOptions, createEntryFilter, describeFilters } = require('../src/filter.js');
+const { writeShards } = require('../src/shards.js');
+const { convert } = require('../src/convert.js');
+const { readDictionary } = require('../src/lookup.js');
+const { sourceFilePath, createTempDir, convertFixture } = require('./helpers.js');
+
+const source = JSON.parse(fs.readFileSync(sourceFilePath, 'utf8'));
+
+/**
+ * Returns the source dictionary of the tests with tags: "にっぽん" is an irregular reading (ik), "鉋" is archaic
+ * (arch) and "日本語" is used in linguistics (ling).
+ * @return {Object} Returns the tagged source dictionary.
+ */
+function createTaggedSource() {
+    const tagged = JSON.parse(JSON.stringify(source));
+    const getWord = id => tagged.words.find(word => word.id === id);
+    getWord('1000001').kana[1].tags = ['ik'];
+    getWord('1000006').sense.forEach(sense => { sense.misc = ['arch']; });
+    getWord('1000002').sense.forEach(sense => { sense.field = ['ling']; });
+    return tagged;
+}
+
+/**
+ * Converts the source dictionary of the tests with filter options and returns the sorted hiragana keys.
+ * @param {Object} options The filter options.
+ * @return {Promise<string[]>} Returns the hiragana keys.
+ */
+async function getFilteredKeys(options) {
+    const fixture = await convertFixture(options);
+    try {
+        const data = await readDictionary(path.join(fixture.dir, 'simple.eng.min.json'));
+        return Object.keys(data.words).sort();
+    } finally {
+        fixture.remove();
+    }
+}
+
+test('filter', async (t) => {
+    await t.test('commonOnly', async () => {
+        assert.deepStrictEqual(await getFilteredKeys({ commonOnly: true }), ['いき', 'かえる', 'こーひー', 'でぃすく', 'とうきょう', 'にほん', 'にほんご']);
+        const filtered = createEntryFilter({ commonOnly: true })(source.words.find(word => word.id === '1000004'));
+        assert.deepStrictEqual(filtered.kanji.map(kanji => kanji.text), ['生き']);
+        assert.deepStrictEqual(filtered.kana.map(kana => kana.text), ['いき']);
+    });
+
+    await t.test('maxReadingLength', async () => {
+        assert.deepStrictEqual(await getFilteredKeys({ maxReadingLength: 3 }), ['いき', 'かえる', 'かんな', 'なま', 'にほん']);
+    });
+
+    await t.test('allowlist', async () => {
+        // Katakana words of the allowlist match the readings as hiragana
+        assert.deepStrictEqual(await getFilteredKeys({ allowlist: ['東京', 'コーヒー', '猫'] }), ['こーひー', 'とうきょう']);
+        assert.deepStrictEqual(await getFilteredKeys({ allowlist: new Set(['かえる']) }), ['かえる']);
+    });
+
+    await t.test('tags and excludeTags', async () => {
+        const temp = createTempDir();
+        try {
+            const filePath = path.join(temp.dir, path.basename(sourceFilePath));
+            fs.writeFileSync(filePath, JSON.stringify(createTaggedSource()), 'utf8');
+            const getKeys = async (options) => {
+                const result = await convert(filePath, { outDir: temp.dir, silent: true, ...options });
+                assert.strictEqual(result.success, true, result.errors.join('\n'));
+                return Object.keys((await readDictionary(path.join(temp.dir, 'simple.eng.min.json'))).words).sort();
+            };
+            assert.deepStrictEqual(await getKeys({ tags: ['arch', 'ling'] }), ['かんな', 'にほんご']);
+            assert.deepStrictEqual(await getKeys({ tags: ['ik'] }), ['にっぽん', 'にほん']);
+            assert.deepStrictEqual(await getKeys({ excludeTags: ['ik', 'arch'] }), ['いき', 'かえる', 'こーひー', 'でぃすく', 'とうきょう', 'なま', 'にほん', 'にほんご']);
+            assert.deepStrictEqual(await getKeys({ tags: ['arch', 'ling'], excludeTags: ['arch'] }), ['にほんご']);
+        } finally {
+            temp.remove();
+        }
+    });
+
+    await t.test('invalid filter options', async () => {
+        assert.deepStrictEqual(validateFilterOptions({ tags: ['n'], excludeTags: new Set(['arch']), maxReadingLength: 3, allowlist: [] }), []);
+        assert.deepStrictEqual(validateFilterOptions({ tags: 'n', allowlist: [1], maxReadingLength: 0 }), [
+            'The "tags" filter must be a list of strings.',
+            'The "allowlist" filter must be a list of strings.',
+            'The maximum reading length must be a positive integer instead of "0".',
+        ]);
+        const temp = createTempDir();
+        try {
+            const result = await convert(sourceFilePath, { outDir: temp.dir, silent: true, maxReadingLength: 2.5 });
+            assert.strictEqual(result.success, false);
+            assert.deepStrictEqual(result.errors, ['The maximum reading length must be a positive integer instead of "2.5".']);
+            assert.deepStrictEqual(fs.readdirSync(temp.dir), []);
+        } finally {
+            temp.remove();
+        }
+    });
+
+    await t.test('describeFilters', () => {
+        assert.strictEqual(describeFilters({}), null);
+        assert.strictEqual(describeFilters({ commonOnly: false }), null);
+        assert.deepStrictEqual(JSON.parse(describeFilters({ commonOnly: true, tags: new Set(['arch']), maxReadingLength: 3 })), {
+            commonOnly: true,
+            tags: ['arch'],
+            maxReadingLength: 3,
+        });
+        // The allowlist is described by the checksum of its sorted words
+        const allowlist = JSON.parse(describeFilters({ allowlist: ['東京', 'コーヒー', '東京'] })).allowlist;
+        assert.strictEqual(allowlist, crypto.createHash('sha256').update('コーヒー\n東京').digest('hex'));
+        assert.strictEqual(describeFilters({ allowlist: ['コーヒー', '東京'] }), describeFilters({ allowlist: new Set(['東京', 'コーヒー']) }));
+        assert.notStrictEqual(describeFilters({ tags: ['arch'] }), describeFilters({ excludeTags: ['arch'] }));
+    });
+});
+
+test('writeShards', async (t) => {
+    const fixture = await convertFixture({ romaji: true });
+    const data = await readDictionary(path.join(fixture.dir, 'simple.eng.min.json'));
+    const dirPath = path.join(fixture.dir, 'simple.eng.min.shards');
+    t.after(() => fixture.remove());
+
+    await t.test('splits the dictionary by the first character of the keys', () => {
+        const shards = writeShards(dirPath, data, 'simple');
+        const fileNames = ['3044.json', '304b.json', '3053.json', '3067.json', '3068.json', '306a.json', '306b.json'];
+        assert.deepStrictEqual(fs.readdirSync(dirPath).sort(), [...fileNames, 'index.json']);
+        assert.deepStrictEqual(shards.files, fileNames.map(fileName => path.join(dirPath, fileName)));
+        const index = JSON.parse(fs.readFileSync(shards.indexPath, 'utf8'));
+        assert.deepStrictEqual(Object.keys(index.shards), ['い', 'か', 'こ', 'で', 'と', 'な', 'に']);
+        assert.deepStrictEqual([index.version, index.dictDate, index.profile], ['3.6.1', '2025-04-28', 'simple']);
+        let size = fs.statSync(shards.indexPath).size;
+        Object.entries(index.shards).forEach(([prefix, entry]) => {
+            const buffer = fs.readFileSync(path.join(dirPath, entry.file));
+            const shard = JSON.parse(buffer.toString('utf8'));
+            const keys = Object.keys(data.words).filter(key => key.startsWith(prefix));
+            assert.strictEqual(entry.file, prefix.codePointAt(0).toString(16) + '.json');
+            assert.deepStrictEqual(Object.keys(shard.words).sort(), keys.sort());
+            keys.forEach(key => assert.deepStrictEqual(shard.words[key], data.words[key]));
+            // The romaji of a shard only refer to its own keys
+            assert.ok(Object.values(shard.romaji).flat().every(key => key.startsWith(prefix)));
+            assert.deepStrictEqual(entry, { file: entry.file, keys: keys.length, size: buffer.length, sha256: crypto.createHash('sha256').update(buffer).digest('hex') });
+            size += buffer.length;
+        });
+        assert.strictEqual(shards.size, size);
+        assert.strictEqual(shards.sha256, crypto.createHash('sha256').update(fs.readFileSync(shards.indexPath)).digest('hex'));
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(dirPath, '306b.json'), 'utf8')).romaji, { nihon: ['にほん'], nippon: ['にっぽん'], nihongo: ['にほんご'] });
+    });
+
+    await t.test('removes the shards of a previous conversion', () => {
+        const words = { 'かえる': data.words['かえる'] };
+        const shards = writeShards(dirPath, { version: data.version, dictDate: data.dictDate, words }, 'simple');
+        assert.deepStrictEqual(fs.readdirSync(dirPath).sort(), ['304b.json', 'index.json']);
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(shards.files[0], 'utf8')), { version: '3.6.1', dictDate: '2025-04-28', words });
+    });
+});
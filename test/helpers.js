@@ -0,0 +1,52 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const tar = require('tar');
+const { convert } = require('../src/convert.js');
+
+// The small source dictionary of the tests, in the format of jmdict-simplified
+const sourceFilePath = path.join(__dirname, 'fixtures', 'jmdict-eng-3.6.1.json');
+// The release tag of the assets of the tests
+const releaseTag = '3.6.1+20250428122154';
+
+/**
+ * Creates a temporary folder, which is removed by the returned function.
+ * @return {{dir: string, remove: function(): void}}
+ */
+function createTempDir() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jmdict-simple-test-'));
+    return { dir, remove: () => fs.rmSync(dir, { recursive: true, force: true }) };
+}
+
+/**
+ * Converts the source dictionary of the tests with `convert()` into a temporary folder.
+ * @param {Object} [options] The options of `convert()`.
+ * @return {Promise<{dir: string, remove: function(): void, result: Object}>} Returns the temporary folder and the
+ * result of the conversion.
+ */
+async function convertFixture(options = {}) {
+    const temp = createTempDir();
+    const result = await convert(sourceFilePath, { outDir: temp.dir, silent: true, ...options });
+    if (result.success === false) throw new Error(`The conversion of the fixture failed: ${result.errors.join(', ')}`);
+    return { ...temp, result };
+}
+
+/**
+ * Creates the release assets of the tests, which contain the source dictionary of the tests.
+ * @param {string} dir The folder of the assets.
+ * @return {Object<string, Buffer>} Returns the assets by file name.
+ */
+function createAssets(dir) {
+    const assets = {};
+    ['all', 'eng', 'eng-common'].forEach(lang => {
+        const jsonFileName = `jmdict-${lang}-${releaseTag}.json`;
+        const assetFileName = `${jsonFileName}.tgz`;
+        fs.copyFileSync(sourceFilePath, path.join(dir, jsonFileName));
+        tar.c({ gzip: true, sync: true, cwd: dir, file: path.join(dir, assetFileName), portable: true }, [jsonFileName]);
+        fs.rmSync(path.join(dir, jsonFileName));
+        assets[assetFileName] = fs.readFileSync(path.join(dir, assetFileName));
+    });
+    return assets;
+}
+
+module.exports = { sourceFilePath, releaseTag, createTempDir, convertFixture, createAssets };
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { toHiragana, toKatakana, expandIterationMarks } = require('../src/kana.js');
+
+// [input, hiragana, katakana]
+const cases = [
+    // Hiragana and katakana-only readings
+    ['にほん', 'にほん', 'ニホン'],
+    ['テレビ', 'てれび', 'テレビ'],
+    ['ディスク', 'でぃすく', 'ディスク'],
+    ['ジャンプ', 'じゃんぷ', 'ジャンプ'],
+    ['しゃツ', 'しゃつ', 'シャツ'],
+    // ゔ, ゕ and ゖ
+    ['ヴァイオリン', 'ゔぁいおりん', 'ヴァイオリン'],
+    ['ゔ', 'ゔ', 'ヴ'],
+    ['ヵ月', 'ゕ月', 'ヵ月'],
+    ['ゖ', 'ゖ', 'ヶ'],
+    // ヷヸヹヺ are written with a combining voiced sound mark in hiragana
+    ['ヷ', 'わ゙', 'ヷ'],
+    ['ヺ', 'を゙', 'ヺ'],
+    // Iteration marks
+    ['こゝろ', 'こころ', 'ココロ'],
+    ['いすゞ', 'いすず', 'イスズ'],
+    ['バナヽ', 'ばなな', 'バナナ'],
+    ['ミヾ', 'みみ', 'ミミ'],
+    ['ぶゝ', 'ぶふ', 'ブフ'],
+    ['ゝ', 'ゝ', 'ヽ'],
+    // The long vowel mark is kept
+    ['コーヒー', 'こーひー', 'コーヒー'],
+    ['らーめん', 'らーめん', 'ラーメン'],
+    // Half-width katakana, including the voiced sound marks
+    ['ｺｰﾋｰ', 'こーひー', 'コーヒー'],
+    ['ﾃﾞｨｽｸ', 'でぃすく', 'ディスク'],
+    ['ﾊﾟﾝ', 'ぱん', 'パン'],
+    ['ｳﾞｧ', 'ゔぁ', 'ヴァ'],
+    // Combining voiced sound marks are composed
+    ['が', 'が', 'ガ'],
+    ['パ', 'ぱ', 'パ'],
+    // Other characters are kept
+    ['日本', '日本', '日本'],
+    ['ABC', 'ABC', 'ABC'],
+    ['', '', ''],
+];
+
+test('toHiragana', async (t) => {
+    for (const [input, hiragana] of cases) {
+        await t.test(input, () => assert.strictEqual(toHiragana(input), hiragana));
+    }
+});
+
+test('toKatakana', async (t) => {
+    for (const [input, , katakana] of cases) {
+        await t.test(input, () => assert.strictEqual(toKatakana(input), katakana));
+    }
+});
+
+test('expandIterationMarks', async (t) => {
+    const iterationCases = [
+        ['こゝろ', 'こころ'],
+        ['ぶゞ', 'ぶぶ'],
+        ['かゞみ', 'かがみ'],
+        ['あゞ', 'ああ'],
+        ['カヽ', 'カカ'],
+        ['日ゝ', '日ゝ'],
+    ];
+    for (const [input, expected] of iterationCases) {
+        await t.test(input, () => assert.strictEqual(expandIterationMarks(input), expected));
+    }
+});
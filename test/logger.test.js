@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const childProcess = require('child_process');
+const path = require('path');
+const { sourceFilePath, createTempDir } = require('./helpers.js');
+
+const indexFilePath = path.join(__dirname, '..', 'src', 'index.js');
+
+/**
+ * Converts the source dictionary of the tests with the API in a separate process, so the logging settings of the
+ * tests are not changed.
+ * @param {string} outDir The folder of the output.
+ * @param {string} setup The code which runs before the conversion.
+ * @return {{status: number, stdout: string, stderr: string}} Returns the exit code and the output.
+ */
+function runConvert(outDir, setup = '') {
+    const script = `const api = require(${JSON.stringify(indexFilePath)}); ${setup}
+        api.convert(${JSON.stringify(sourceFilePath)}, { outDir: ${JSON.stringify(outDir)} })
+            .then(result => { process.exitCode = result.success ? 0 : 1; });`;
+    return childProcess.spawnSync(process.execPath, ['-e', script], { encoding: 'utf8', timeout: 60000 });
+}
+
+test('logger', async (t) => {
+    const temp = createTempDir();
+    t.after(() => temp.remove());
+
+    await t.test('does not write messages by default', () => {
+        const result = runConvert(temp.dir);
+        assert.strictEqual(result.status, 0, result.stderr);
+        assert.strictEqual(result.stdout, '');
+        assert.strictEqual(result.stderr, '');
+    });
+
+    await t.test('writes messages after configureLogging()', () => {
+        const result = runConvert(temp.dir, 'api.configureLogging();');
+        assert.strictEqual(result.status, 0, result.stderr);
+        assert.match(result.stdout, /Converting source dictionary/);
+        const quiet = runConvert(temp.dir, 'api.configureLogging({ quiet: true });');
+        assert.strictEqual(quiet.stdout, '');
+        const silent = runConvert(temp.dir, 'api.configureLogging(); api.configureLogging({ silent: true });');
+        assert.strictEqual(silent.stdout, '');
+    });
+});
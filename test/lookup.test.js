@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { load, readDictionary, createDictionary } = require('../src/lookup.js');
+const { convertFixture } = require('./helpers.js');
+
+test('lookup', async (t) => {
+    const fixture = await convertFixture();
+    t.after(fixture.remove);
+
+    for (const fileName of ['simple.eng.min.json', 'simple.eng.min.json.gz']) {
+        await t.test(`loads ${fileName}`, async () => {
+            const dictionary = await load(path.join(fixture.dir, fileName));
+            assert.strictEqual(dictionary.version, '3.6.1');
+            assert.strictEqual(dictionary.dictDate, '2025-04-28');
+            assert.strictEqual(dictionary.size, 10);
+            assert.deepStrictEqual(dictionary.lookup('にほん'), { katakana: ['ニホン'], kanji: ['日本'] });
+        });
+    }
+
+    const dictionary = await load(path.join(fixture.dir, 'simple.eng.min.json'));
+
+    await t.test('exact lookup', () => {
+        assert.deepStrictEqual(dictionary.lookup('かえる'), { katakana: ['カエル'], kanji: ['蛙'] });
+        assert.deepStrictEqual(dictionary.lookup('こーひー'), { katakana: ['コーヒー'], kanji: [] });
+        assert.strictEqual(dictionary.lookup('にほ'), null);
+        assert.strictEqual(dictionary.lookup('toString'), null);
+        assert.strictEqual(dictionary.lookup(undefined), null);
+    });
+
+    await t.test('returns copies of the entries', () => {
+        dictionary.lookup('かえる').kanji.push('changed');
+        assert.deepStrictEqual(dictionary.lookup('かえる').kanji, ['蛙']);
+    });
+
+    await t.test('prefix search', () => {
+        assert.deepStrictEqual(dictionary.search('にほ').map(result => result.hiragana), ['にほん', 'にほんご']);
+        assert.deepStrictEqual(dictionary.search('にほ', 1), [{ hiragana: 'にほん', katakana: ['ニホン'], kanji: ['日本'] }]);
+        assert.deepStrictEqual(dictionary.search('に').map(result => result.hiragana), ['にっぽん', 'にほん', 'にほんご']);
+        assert.deepStrictEqual(dictionary.search('ぬ'), []);
+        assert.deepStrictEqual(dictionary.search(''), []);
+    });
+
+    await t.test('reverse lookup', () => {
+        assert.deepStrictEqual(dictionary.reverseLookup('日本'), ['にほん', 'にっぽん']);
+        assert.deepStrictEqual(dictionary.reverseLookup('カエル'), ['かえる']);
+        assert.deepStrictEqual(dictionary.reverseLookup('猫'), []);
+    });
+
+    await t.test('resolves null for missing and invalid files', async () => {
+        const invalidFilePath = path.join(fixture.dir, 'invalid.json');
+        fs.writeFileSync(invalidFilePath, '{', 'utf8');
+        const silence = t.mock.method(process.stderr, 'write', () => true);
+        assert.strictEqual(await load(path.join(fixture.dir, 'missing.json')), null);
+        assert.strictEqual(await load(invalidFilePath), null);
+        assert.strictEqual(await readDictionary(''), null);
+        silence.mock.restore();
+    });
+
+    await t.test('rejects data without words', () => {
+        assert.throws(() => createDictionary({ version: '1' }), TypeError);
+    });
+});
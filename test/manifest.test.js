@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { readManifest, isUpToDate, writeManifest } = require('../src/manifest.js');
+const logger = require('../src/logger.js');
+const { createTempDir } = require('./helpers.js');
+
+const buildInfo = {
+    sourceTag: '3.6.1+20250428122154',
+    asset: 'jmdict-eng-3.6.1+20250428122154.json.tgz',
+    assetSize: 1234,
+    assetDigest: 'sha256:0123456789abcdef',
+    converterVersion: '1.0.0+0123456789ab',
+    lang: 'eng',
+    profile: 'simple',
+    romaji: false,
+    gzip: true,
+    gzipLevel: null,
+    brotli: false,
+    deflate: false,
+    deflateLevel: null,
+    shards: false,
+    filters: null,
+};
+
+test('manifest', async (t) => {
+    const temp = createTempDir();
+    const outputFileName = 'simple.eng.min.json';
+    const outputFilePath = path.join(temp.dir, outputFileName);
+    t.after(() => temp.remove());
+
+    await t.test('writes a build which is up to date', async () => {
+        fs.writeFileSync(outputFilePath, '{}', 'utf8');
+        await logger.withScope({ silent: true }, async () => {
+            assert.strictEqual(await writeManifest(outputFileName, buildInfo, [outputFileName, 'missing.json'], temp.dir), true);
+        });
+        const entry = readManifest(temp.dir).builds[outputFileName];
+        assert.strictEqual(entry.converterVersion, buildInfo.converterVersion);
+        // Missing output files are not recorded
+        assert.deepStrictEqual(Object.keys(entry.outputs), [outputFileName]);
+        assert.strictEqual(await isUpToDate(outputFileName, buildInfo, temp.dir), true);
+        assert.strictEqual(await isUpToDate(outputFileName, { ...buildInfo }, temp.dir), true);
+    });
+
+    await t.test('is not up to date with changed build information', async () => {
+        assert.strictEqual(await isUpToDate(outputFileName, { ...buildInfo, converterVersion: '1.0.1+0123456789ab' }, temp.dir), false);
+        assert.strictEqual(await isUpToDate(outputFileName, { ...buildInfo, assetDigest: 'sha256:fedcba9876543210' }, temp.dir), false);
+        assert.strictEqual(await isUpToDate(outputFileName, { ...buildInfo, gzipLevel: 9 }, temp.dir), false);
+        assert.strictEqual(await isUpToDate(outputFileName, { ...buildInfo, filters: 'commonOnly' }, temp.dir), false);
+    });
+
+    await t.test('matches an asset digest which is not known before the download', async () => {
+        assert.strictEqual(await isUpToDate(outputFileName, { ...buildInfo, assetDigest: undefined }, temp.dir), true);
+    });
+
+    await t.test('is not up to date without a build entry', async () => {
+        assert.strictEqual(await isUpToDate('extended.eng.min.json', buildInfo, temp.dir), false);
+        assert.strictEqual(await isUpToDate(outputFileName, buildInfo, path.join(temp.dir, 'missing')), false);
+    });
+
+    await t.test('is not up to date with a changed or missing output', async () => {
+        fs.writeFileSync(outputFilePath, '{"changed":true}', 'utf8');
+        assert.strictEqual(await isUpToDate(outputFileName, buildInfo, temp.dir), false);
+        fs.rmSync(outputFilePath);
+        assert.strictEqual(await isUpToDate(outputFileName, buildInfo, temp.dir), false);
+    });
+
+    await t.test('ignores an invalid manifest', async () => {
+        fs.writeFileSync(path.join(temp.dir, 'manifest.json'), '{ invalid', 'utf8');
+        await logger.withScope({ silent: true }, async (scope) => {
+            assert.deepStrictEqual(readManifest(temp.dir), { builds: {} });
+            assert.strictEqual(await isUpToDate(outputFileName, buildInfo, temp.dir), false);
+            assert.strictEqual(scope.warnings.length, 2);
+            assert.match(scope.warnings[0], /invalid build manifest/);
+        });
+    });
+});
@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { toKana, toRomaji, toLongVowelMarks } = require('../src/romaji.js');
+const { load } = require('../src/lookup.js');
+const { convertFixture } = require('./helpers.js');
+
+test('toKana', async (t) => {
+    const cases = [
+        // Syllabic n
+        ['kanna', 'かんな'],
+        ["kan'na", 'かんな'],
+        ["kan'a", 'かんあ'],
+        ['kani', 'かに'],
+        ["kan'i", 'かんい'],
+        ['kanni', 'かんに'],
+        ['shinbun', 'しんぶん'],
+        ['shimbun', 'しんぶん'],
+        ['hon', 'ほん'],
+        ['honn', 'ほん'],
+        ["kon'ya", 'こんや'],
+        ['konya', 'こにゃ'],
+        // Geminate consonants
+        ['kitte', 'きって'],
+        ['zasshi', 'ざっし'],
+        ['matcha', 'まっちゃ'],
+        ['macchi', 'まっち'],
+        // Long vowels
+        ['tōkyō', 'とうきょう'],
+        ['tôkyô', 'とうきょう'],
+        ['ōsaka', 'おうさか'],
+        ['suupaa', 'すうぱあ'],
+        ['ko-hi-', 'こーひー'],
+        // Kunrei
+        ['sinbun', 'しんぶん'],
+        ['tya', 'ちゃ'],
+        ['hutatu', 'ふたつ'],
+        ['zyuu', 'じゅう'],
+        // Loanwords
+        ['dhisuku', 'でぃすく'],
+        ['paathii', 'ぱあてぃい'],
+        ['twu', 'とぅ'],
+        ['whindou', 'うぃんどう'],
+        ['fairu', 'ふぁいる'],
+        ['vaiorin', 'ゔぁいおりん'],
+        // Case and other characters
+        ['TOUKYOU', 'とうきょう'],
+        ['ka1', 'か1'],
+        ['日本go', '日本ご'],
+    ];
+    for (const [romaji, kana] of cases) {
+        await t.test(romaji, () => assert.strictEqual(toKana(romaji), kana));
+    }
+});
+
+test('toRomaji', async (t) => {
+    const cases = [
+        ['しんぶん', {}, 'shinbun'],
+        ['かんな', {}, 'kanna'],
+        ['かんい', {}, "kan'i"],
+        ['こんや', {}, "kon'ya"],
+        ['きって', {}, 'kitte'],
+        ['まっちゃ', {}, 'matcha'],
+        ['まっちゃ', { system: 'kunrei' }, 'mattya'],
+        ['しんぶん', { system: 'kunrei' }, 'sinbun'],
+        ['ふじさん', { system: 'kunrei' }, 'huzisan'],
+        ['しぇふ', { system: 'kunrei' }, 'syehu'],
+        ['とうきょう', {}, 'toukyou'],
+        ['とうきょう', { macrons: true }, 'tōkyō'],
+        ['とうきょう', { system: 'kunrei', macrons: true }, 'tôkyô'],
+        ['コーヒー', {}, 'koohii'],
+        ['コーヒー', { macrons: true }, 'kōhii'],
+        ['ディスク', {}, 'dhisuku'],
+        ['パーティー', {}, 'paathii'],
+        ['トゥール', {}, 'twuuru'],
+        ['ウィンドウ', {}, 'whindou'],
+        ['ヴァイオリン', {}, 'vaiorin'],
+        ['あっ', {}, 'aっ'],
+    ];
+    for (const [kana, options, romaji] of cases) {
+        await t.test(`${kana} ${JSON.stringify(options)}`, () => assert.strictEqual(toRomaji(kana, options), romaji));
+    }
+});
+
+test('toKana reads the Hepburn romaji of toRomaji back', async (t) => {
+    const words = ['しんぶん', 'かんな', 'かんい', 'こんや', 'きって', 'まっちゃ', 'とうきょう', 'でぃすく', 'ぱあてぃい', 'とぅーる', 'うぃんどう', 'ゔぁいおりん', 'ふぁいる', 'じゃんぷ'];
+    for (const word of words) {
+        await t.test(word, () => assert.strictEqual(toLongVowelMarks(toKana(toRomaji(word))), toLongVowelMarks(word)));
+    }
+    await t.test('without long vowel marks', () => {
+        ['しんぶん', 'かんな', 'かんい', 'でぃすく', 'うぃんどう', 'とぅ'].forEach(word => assert.strictEqual(toKana(toRomaji(word)), word));
+    });
+});
+
+test('toKana reads the Kunrei romaji of toRomaji back', async (t) => {
+    const words = ['しんぶん', 'ちず', 'つなみ', 'ふじさん', 'じしょ', 'ちゃわん', 'まっちゃ', 'しぇふ', 'じぇっと', 'ちぇっく', 'とうきょう'];
+    for (const word of words) {
+        await t.test(word, () => assert.strictEqual(toKana(toRomaji(word, { system: 'kunrei' })), word));
+    }
+});
+
+test('toLongVowelMarks', () => {
+    assert.strictEqual(toLongVowelMarks('こおひい'), 'こーひー');
+    assert.strictEqual(toLongVowelMarks('こうひい'), 'こーひー');
+    assert.strictEqual(toLongVowelMarks('ぱあてぃい'), 'ぱーてぃー');
+    assert.strictEqual(toLongVowelMarks('とぅうる'), 'とぅーる');
+    assert.strictEqual(toLongVowelMarks('かえる'), 'かえる');
+});
+
+test('romajiLookup', async (t) => {
+    for (const romaji of [false, true]) {
+        const fixture = await convertFixture({ romaji });
+        t.after(fixture.remove);
+        for (const fileName of ['simple.eng.min.json', 'simple.eng.min.bin']) {
+            await t.test(`${fileName} ${romaji ? 'with' : 'without'} romaji index`, async () => {
+                const dictionary = await load(path.join(fixture.dir, fileName));
+                const lookup = text => dictionary.romajiLookup(text).map(result => result.hiragana);
+                assert.deepStrictEqual(lookup('nihon'), ['にほん']);
+                assert.deepStrictEqual(lookup('nippon'), ['にっぽん']);
+                assert.deepStrictEqual(lookup('kanna'), ['かんな']);
+                assert.deepStrictEqual(lookup('tōkyō'), ['とうきょう']);
+                assert.deepStrictEqual(lookup('koohii'), ['こーひー']);
+                assert.deepStrictEqual(lookup('kōhī'), ['こーひー']);
+                assert.deepStrictEqual(lookup(toRomaji('ディスク')), ['でぃすく']);
+                assert.deepStrictEqual(lookup('xyz'), []);
+                assert.deepStrictEqual(dictionary.romajiLookup('kaeru')[0].kanji, ['蛙']);
+            });
+        }
+    }
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadSchema, validate } = require('../src/schema.js');
+
+test('validate', async (t) => {
+    await t.test('types', () => {
+        assert.deepStrictEqual(validate('text', { type: 'string' }), []);
+        assert.deepStrictEqual(validate(1, { type: 'number' }), []);
+        assert.deepStrictEqual(validate(null, { type: ['string', 'null'] }), []);
+        assert.deepStrictEqual(validate(1.5, { type: 'integer' }), ['value must be of type integer, but is number']);
+        assert.deepStrictEqual(validate([], { type: 'object' }), ['value must be of type object, but is array']);
+    });
+
+    await t.test('enum and minLength', () => {
+        assert.deepStrictEqual(validate('simple', { enum: ['simple', 'extended'] }), []);
+        assert.deepStrictEqual(validate('full', { enum: ['simple', 'extended'] }), ['value must be one of "simple", "extended"']);
+        assert.deepStrictEqual(validate('', { type: 'string', minLength: 1 }), ['value must not be shorter than 1 characters']);
+    });
+
+    await t.test('objects and arrays', () => {
+        const schema = {
+            type: 'object',
+            required: ['id', 'tags'],
+            additionalProperties: false,
+            properties: { id: { type: 'string' }, tags: { type: 'array', items: { type: 'string' } } },
+        };
+        assert.deepStrictEqual(validate({ id: '1', tags: ['n'] }, schema), []);
+        assert.deepStrictEqual(validate({ tags: ['n', 1], extra: true }, schema), [
+            'value must have the property "id"',
+            'tags[1] must be of type string, but is integer',
+            'value must not have the property "extra"',
+        ]);
+        assert.deepStrictEqual(validate({ a: 1, b: 'b' }, { type: 'object', additionalProperties: { type: 'number' } }), ['b must be of type number, but is string']);
+    });
+
+    await t.test('local references and locations', () => {
+        const schema = loadSchema('jmdict-source.schema.json');
+        const word = { id: '1', kanji: [], kana: [{ common: true, text: 'ねこ', tags: [], appliesToKanji: ['*'] }], sense: [] };
+        assert.deepStrictEqual(validate(word, schema.definitions.word, schema, 'words[0]'), []);
+        const errors = validate({ ...word, kana: [{ common: 'yes', text: '' }] }, schema.definitions.word, schema, 'words[0]');
+        assert.ok(errors.includes('words[0].kana[0].common must be of type boolean, but is string'), errors.join('\n'));
+        assert.ok(errors.includes('words[0].kana[0].text must not be shorter than 1 characters'), errors.join('\n'));
+        assert.throws(() => validate(word, { $ref: '#/definitions/missing' }, schema), /does not exist/);
+        assert.throws(() => validate(word, { $ref: 'other.schema.json#/definitions/word' }, schema), /Only local schema references/);
+    });
+});
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const path = require('path');
+const zlib = require('zlib');
+const { serve } = require('../src/serve.js');
+const { convertFixture } = require('./helpers.js');
+
+/**
+ * Sends a request with the HTTP client of Node.js.
+ * @param {string} url The URL.
+ * @param {Object} [options] The options of `http.request()`, e.g. `method` and `headers`.
+ * @return {Promise<{statusCode: number, headers: Object, body: Buffer}>}
+ */
+function request(url, options = {}) {
+    return new Promise((resolve, reject) => {
+        http.request(url, options, (response) => {
+            const chunks = [];
+            response.on('data', chunk => chunks.push(chunk));
+            response.on('end', () => resolve({ statusCode: response.statusCode, headers: response.headers, body: Buffer.concat(chunks) }));
+        }).on('error', reject).end();
+    });
+}
+
+/**
+ * Sends a GET request and parses the JSON response.
+ * @param {string} url The URL.
+ * @return {Promise<{statusCode: number, body: Object}>}
+ */
+async function getJson(url) {
+    const response = await request(url);
+    return { statusCode: response.statusCode, body: JSON.parse(response.body.toString('utf8')) };
+}
+
+test('serve', async (t) => {
+    const fixture = await convertFixture();
+    t.after(fixture.remove);
+    const server = await serve(path.join(fixture.dir, 'simple.eng.min.json'), { port: 0, host: 'localhost' });
+    t.after(() => server.close());
+    const url = `http://localhost:${server.address().port}`;
+    const etag = 'W/"3.6.1-2025-04-28"';
+
+    await t.test('info', async () => {
+        assert.deepStrictEqual(await getJson(`${url}/`), { statusCode: 200, body: { version: '3.6.1', dictDate: '2025-04-28', size: 10 } });
+    });
+
+    await t.test('lookup', async () => {
+        assert.deepStrictEqual(await getJson(`${url}/lookup/${encodeURIComponent('にほん')}`), {
+            statusCode: 200,
+            body: { hiragana: 'にほん', katakana: ['ニホン'], kanji: ['日本'] },
+        });
+        const missing = await getJson(`${url}/lookup/${encodeURIComponent('ぬ')}`);
+        assert.strictEqual(missing.statusCode, 404);
+        assert.match(missing.body.error, /ぬ/);
+    });
+
+    await t.test('search', async () => {
+        const { statusCode, body } = await getJson(`${url}/search?prefix=${encodeURIComponent('にほ')}&limit=1`);
+        assert.strictEqual(statusCode, 200);
+        assert.deepStrictEqual(body, { prefix: 'にほ', results: [{ hiragana: 'にほん', katakana: ['ニホン'], kanji: ['日本'] }] });
+        assert.strictEqual((await getJson(`${url}/search?prefix=${encodeURIComponent('に')}`)).body.results.length, 3);
+        assert.strictEqual((await getJson(`${url}/search`)).statusCode, 400);
+    });
+
+    await t.test('reverse and romaji', async () => {
+        assert.deepStrictEqual((await getJson(`${url}/reverse/${encodeURIComponent('日本')}`)).body, { text: '日本', hiragana: ['にほん', 'にっぽん'] });
+        assert.deepStrictEqual((await getJson(`${url}/reverse/${encodeURIComponent('猫')}`)).body, { text: '猫', hiragana: [] });
+        const romaji = await getJson(`${url}/romaji/kaeru`);
+        assert.deepStrictEqual(romaji.body.results.map(result => result.hiragana), ['かえる']);
+    });
+
+    await t.test('errors', async () => {
+        assert.strictEqual((await request(`${url}/unknown`)).statusCode, 404);
+        assert.strictEqual((await request(`${url}/lookup/`)).statusCode, 404);
+        assert.strictEqual((await request(`${url}/lookup/%E3%81`)).statusCode, 400);
+        assert.strictEqual((await request(`${url}/`, { method: 'POST' })).statusCode, 405);
+    });
+
+    await t.test('gzip negotiation', async () => {
+        const compressed = await request(`${url}/lookup/${encodeURIComponent('かえる')}`, { headers: { 'Accept-Encoding': 'br, gzip' } });
+        assert.strictEqual(compressed.headers['content-encoding'], 'gzip');
+        assert.strictEqual(compressed.headers['vary'], 'Accept-Encoding');
+        assert.strictEqual(Number(compressed.headers['content-length']), compressed.body.length);
+        assert.deepStrictEqual(JSON.parse(zlib.gunzipSync(compressed.body)), { hiragana: 'かえる', katakana: ['カエル'], kanji: ['蛙'] });
+        const plain = await request(`${url}/lookup/${encodeURIComponent('かえる')}`, { headers: { 'Accept-Encoding': 'identity' } });
+        assert.strictEqual(plain.headers['content-encoding'], undefined);
+        assert.deepStrictEqual(JSON.parse(plain.body), { hiragana: 'かえる', katakana: ['カエル'], kanji: ['蛙'] });
+    });
+
+    await t.test('ETag and If-None-Match', async () => {
+        const response = await request(`${url}/lookup/${encodeURIComponent('かえる')}`);
+        assert.strictEqual(response.headers['etag'], etag);
+        const notModified = await request(`${url}/lookup/${encodeURIComponent('かえる')}`, { headers: { 'If-None-Match': etag } });
+        assert.strictEqual(notModified.statusCode, 304);
+        assert.strictEqual(notModified.body.length, 0);
+        const wildcard = await request(`${url}/`, { headers: { 'If-None-Match': `"other", *` } });
+        assert.strictEqual(wildcard.statusCode, 304);
+        const changed = await request(`${url}/`, { headers: { 'If-None-Match': 'W/"1.0.0-2020-01-01"' } });
+        assert.strictEqual(changed.statusCode, 200);
+        // Errors are not cached
+        const missing = await request(`${url}/lookup/${encodeURIComponent('ぬ')}`, { headers: { 'If-None-Match': etag } });
+        assert.strictEqual(missing.statusCode, 404);
+        assert.strictEqual(missing.headers['etag'], undefined);
+    });
+
+    await t.test('HEAD', async () => {
+        const get = await request(`${url}/lookup/${encodeURIComponent('かえる')}`);
+        const head = await request(`${url}/lookup/${encodeURIComponent('かえる')}`, { method: 'HEAD' });
+        assert.strictEqual(head.statusCode, 200);
+        assert.strictEqual(head.body.length, 0);
+        assert.strictEqual(head.headers['content-length'], get.headers['content-length']);
+        assert.strictEqual(head.headers['etag'], etag);
+    });
+});
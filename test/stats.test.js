@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createStats, readStats, printStats } = require('../src/stats.js');
+const { convert } = require('../src/convert.js');
+const logger = require('../src/logger.js');
+const { sourceFilePath, convertFixture, createTempDir } = require('./helpers.js');
+
+const stats = { entries: 100, keys: 100, katakana: 100, kanji: 100, emptyKanji: 100 };
+
+test('stats', async (t) => {
+    await t.test('counts the keys and spellings', () => {
+        const data = { words: { 'ねこ': { katakana: ['ネコ'], kanji: ['猫'] }, 'こーひー': { katakana: ['コーヒー'], kanji: [] } } };
+        assert.deepStrictEqual(createStats(data, 3), { entries: 3, keys: 2, katakana: 2, kanji: 1, emptyKanji: 1 });
+    });
+
+    await t.test('warns about decreases of more than 5 percent', async () => {
+        await logger.withScope({ silent: true }, () => {
+            // Fewer keys without kanji are not reported
+            const current = { entries: 95, keys: 94, katakana: 100, kanji: 120, emptyKanji: 10 };
+            assert.deepStrictEqual(printStats(current, stats), ['The number of keys decreased from 100 to 94.']);
+            assert.deepStrictEqual(printStats(stats, null), []);
+            assert.deepStrictEqual(printStats(stats, { keys: 0 }), []);
+        });
+    });
+
+    await t.test('reads the statistics of the previous release', async () => {
+        const temp = createTempDir();
+        try {
+            const filePath = path.join(temp.dir, 'simple.stats.json');
+            assert.strictEqual(readStats(filePath), null);
+            fs.writeFileSync(filePath, JSON.stringify({ version: '3.6.0', dictDate: '2025-01-01', stats }), 'utf8');
+            assert.deepStrictEqual(readStats(filePath), stats);
+            fs.writeFileSync(filePath, '{ invalid', 'utf8');
+            await logger.withScope({ silent: true }, (scope) => {
+                assert.strictEqual(readStats(filePath), null);
+                assert.strictEqual(scope.warnings.length, 1);
+            });
+        } finally {
+            temp.remove();
+        }
+    });
+
+    await t.test('convert compares the statistics with the previous release', async () => {
+        const fixture = await convertFixture();
+        try {
+            const statsFilePath = path.join(fixture.dir, 'simple.eng.stats.json');
+            assert.deepStrictEqual(readStats(statsFilePath), fixture.result.stats);
+            assert.deepStrictEqual(fixture.result.warnings, []);
+            // The previous release had more kanji spellings
+            fs.writeFileSync(statsFilePath, JSON.stringify({ stats: { ...fixture.result.stats, kanji: 20 } }), 'utf8');
+            const result = await convert(sourceFilePath, { outDir: fixture.dir, silent: true });
+            assert.strictEqual(result.success, true, result.errors.join('\n'));
+            assert.deepStrictEqual(result.warnings, ['Warning: The number of kanji decreased from 20 to 10.']);
+            assert.deepStrictEqual(readStats(statsFilePath), fixture.result.stats);
+        } finally {
+            fixture.remove();
+        }
+    });
+});
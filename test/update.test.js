@@ -0,0 +1,239 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { update, resolveAsset, downloadAsset } = require('../src/update.js');
+const logger = require('../src/logger.js');
+const { sourceFilePath, createTempDir, createAssets, releaseTag: tag } = require('./helpers.js');
+
+const releasesPath = '/repos/scriptin/jmdict-simplified/releases';
+
+/**
+ * Starts a local stand-in for the GitHub API, which serves the releases and redirects the downloads of the assets.
+ * The downloads support range requests. The "stalling" downloads never finish, the "stalled" downloads only stall
+ * at the first request. The assets of the "corrupt" release have a wrong digest, the "undigested" release has no
+ * digests like older GitHub releases.
+ * @param {Object<string, Buffer>} assets The assets by file name.
+ * @return {Promise<{server: http.Server, url: string, requests: string[], ranges: string[]}>} Returns the server, its
+ * URL, the URLs of all requests and the URLs with the `Range` header of the range requests.
+ */
+function startServer(assets) {
+    const requests = [];
+    const ranges = [];
+    const server = http.createServer((request, response) => {
+        requests.push(request.url);
+        if (request.headers.range) ranges.push(`${request.url} ${request.headers.range}`);
+        const url = `http://localhost:${server.address().port}`;
+        const isCorrupt = (request.url === `${releasesPath}/tags/corrupt`);
+        const isUndigested = (request.url === `${releasesPath}/tags/undigested`);
+        const release = {
+            tag_name: tag,
+            assets: Object.entries(assets).map(([name, data]) => ({
+                name,
+                size: data.length,
+                digest: isUndigested ? undefined : 'sha256:' + crypto.createHash('sha256').update(isCorrupt ? 'corrupt' : data).digest('hex'),
+                browser_download_url: `${url}/download/${encodeURIComponent(name)}`,
+            })),
+        };
+        const [, type, name] = request.url.split('/');
+        if (request.url === `${releasesPath}/latest` || request.url === `${releasesPath}/tags/${encodeURIComponent(tag)}` || isCorrupt || isUndigested) {
+            response.writeHead(200, { 'Content-Type': 'application/json' });
+            response.end(JSON.stringify(release));
+        } else if (type === 'download') {
+            // Like GitHub, the downloads are redirected to another host
+            response.writeHead(302, { Location: `/storage/${name}` });
+            response.end();
+        } else if (['storage', 'stalled', 'stalling'].includes(type) && assets[decodeURIComponent(name)]) {
+            const data = assets[decodeURIComponent(name)];
+            const start = Number((/^bytes=(\d+)-$/.exec(request.headers.range || '') || [])[1] || 0);
+            if (start >= data.length) {
+                response.writeHead(416, { 'Content-Range': `bytes */${data.length}` });
+                return response.end();
+            }
+            const body = data.subarray(start);
+            const headers = { 'Content-Type': 'application/octet-stream', 'Content-Length': body.length };
+            if (start > 0) headers['Content-Range'] = `bytes ${start}-${data.length - 1}/${data.length}`;
+            response.writeHead(start > 0 ? 206 : 200, headers);
+            const isStalled = type === 'stalling' || (type === 'stalled' && requests.filter(url => url === request.url).length === 1);
+            if (isStalled) {
+                response.write(body.subarray(0, body.length >> 1));
+            } else {
+                response.end(body);
+            }
+        } else {
+            response.writeHead(404);
+            response.end();
+        }
+    });
+    return new Promise(resolve => {
+        server.listen(0, 'localhost', () => resolve({ server, url: `http://localhost:${server.address().port}`, requests, ranges }));
+    });
+}
+
+test('update', async (t) => {
+    const assetsDir = createTempDir();
+    t.after(assetsDir.remove);
+    const assets = createAssets(assetsDir.dir);
+    const { server, url, requests, ranges } = await startServer(assets);
+    t.after(() => server.close());
+    const source = fs.readFileSync(sourceFilePath, 'utf8');
+
+    await t.test('downloads, verifies and unpacks the latest release from a mirror', async () => {
+        const dataDir = createTempDir();
+        try {
+            const result = await update('latest', { source: url, lang: 'eng', dataDir: dataDir.dir, silent: true });
+            assert.strictEqual(result.success, true, result.errors.join('\n'));
+            assert.strictEqual(result.tag, tag);
+            assert.strictEqual(result.asset, `jmdict-eng-${tag}.json.tgz`);
+            assert.strictEqual(result.file, `jmdict-eng-${tag}.json`);
+            assert.strictEqual(result.path, path.join(dataDir.dir, result.file));
+            assert.strictEqual(fs.readFileSync(result.path, 'utf8'), source);
+            assert.deepStrictEqual(result.errors, []);
+            // The downloaded archive and the temporary file are removed
+            assert.deepStrictEqual(fs.readdirSync(dataDir.dir), [result.file]);
+            assert.ok(requests.includes(`/download/${encodeURIComponent(result.asset)}`));
+            assert.ok(requests.includes(`/storage/${encodeURIComponent(result.asset)}`));
+        } finally {
+            dataDir.remove();
+        }
+    });
+
+    await t.test('downloads a release tag and reports the progress', async () => {
+        const dataDir = createTempDir();
+        const events = [];
+        try {
+            const result = await update(tag, { source: url, dataDir: dataDir.dir, silent: true, onProgress: event => events.push(event) });
+            assert.strictEqual(result.success, true, result.errors.join('\n'));
+            assert.strictEqual(result.asset, `jmdict-all-${tag}.json.tgz`);
+            const size = assets[result.asset].length;
+            assert.deepStrictEqual(events.at(-1), { phase: 'download', file: result.asset, bytes: size, totalBytes: size });
+        } finally {
+            dataDir.remove();
+        }
+    });
+
+    await t.test('hashes the asset of a release without digest', async () => {
+        const dataDir = createTempDir();
+        try {
+            const result = await update('undigested', { source: url, lang: 'eng', dataDir: dataDir.dir, silent: true });
+            assert.strictEqual(result.success, true, result.errors.join('\n'));
+            const asset = assets[result.asset];
+            assert.strictEqual(result.digest, 'sha256:' + crypto.createHash('sha256').update(asset).digest('hex'));
+        } finally {
+            dataDir.remove();
+        }
+    });
+
+    await t.test('fails for an unknown tag or language', async () => {
+        const dataDir = createTempDir();
+        try {
+            const unknownTag = await update('1.0.0', { source: url, dataDir: dataDir.dir, silent: true });
+            assert.strictEqual(unknownTag.success, false);
+            assert.match(unknownTag.errors.join('\n'), /status 404/);
+            const unknownLanguage = await update('latest', { source: url, lang: 'ger', dataDir: dataDir.dir, silent: true });
+            assert.strictEqual(unknownLanguage.success, false);
+            assert.strictEqual(unknownLanguage.file, null);
+            const invalidLanguage = await update('latest', { source: url, lang: 'english', dataDir: dataDir.dir, silent: true });
+            assert.strictEqual(invalidLanguage.success, false);
+        } finally {
+            dataDir.remove();
+        }
+    });
+
+    await t.test('resumes a stalled download from its .part file', async () => {
+        const dataDir = createTempDir();
+        const name = `jmdict-eng-${tag}.json.tgz`;
+        const downloadUrl = `${url}/stalled/${encodeURIComponent(name)}`;
+        try {
+            await logger.withScope({ silent: true }, async (scope) => {
+                const file = await downloadAsset(downloadUrl, dataDir.dir, name, { size: assets[name].length, timeout: 200, retryDelay: 10 });
+                assert.strictEqual(file, path.join(dataDir.dir, name));
+                assert.deepStrictEqual(fs.readFileSync(file), assets[name]);
+                assert.deepStrictEqual(fs.readdirSync(dataDir.dir), [name]);
+                assert.deepStrictEqual(scope.errors, []);
+                assert.match(scope.warnings.join('\n'), /No data received for 200 ms/);
+                // The second attempt only requests the rest of the asset
+                assert.deepStrictEqual(ranges.filter(range => range.startsWith(new URL(downloadUrl).pathname)), [
+                    `${new URL(downloadUrl).pathname} bytes=${assets[name].length >> 1}-`,
+                ]);
+            });
+        } finally {
+            dataDir.remove();
+        }
+    });
+
+    await t.test('restarts a download which can not be resumed', async () => {
+        const dataDir = createTempDir();
+        const name = `jmdict-eng-${tag}.json.tgz`;
+        try {
+            // The .part file is larger than the asset, so the range is not satisfiable
+            fs.writeFileSync(path.join(dataDir.dir, `${name}.part`), Buffer.concat([assets[name], Buffer.from('x')]));
+            await logger.withScope({ silent: true }, async (scope) => {
+                const file = await downloadAsset(`${url}/storage/${encodeURIComponent(name)}`, dataDir.dir, name, { size: assets[name].length, retryDelay: 10 });
+                assert.deepStrictEqual(fs.readFileSync(file), assets[name]);
+                assert.deepStrictEqual(scope.errors, []);
+                assert.match(scope.warnings.join('\n'), /status code: 416/);
+            });
+        } finally {
+            dataDir.remove();
+        }
+    });
+
+    await t.test('rejects an asset with a wrong digest', async () => {
+        const dataDir = createTempDir();
+        try {
+            await logger.withScope({ silent: true }, async (scope) => {
+                const asset = await resolveAsset('corrupt', { source: url, lang: 'eng' });
+                const file = await downloadAsset(asset.location, dataDir.dir, asset.name, { size: asset.size, digest: asset.digest, retries: 1, retryDelay: 10 });
+                assert.strictEqual(file, null);
+                // The corrupt file is removed after each attempt
+                assert.deepStrictEqual(fs.readdirSync(dataDir.dir), []);
+                assert.deepStrictEqual(scope.errors, [`Download of "${asset.name}" failed after 2 attempts.`]);
+                assert.strictEqual(scope.warnings.filter(warning => warning.includes(`does not match "${asset.digest}"`)).length, 2);
+            });
+        } finally {
+            dataDir.remove();
+        }
+    });
+
+    await t.test('fails when all download attempts stall', async () => {
+        const dataDir = createTempDir();
+        const name = `jmdict-eng-${tag}.json.tgz`;
+        try {
+            await logger.withScope({ silent: true }, async (scope) => {
+                const file = await downloadAsset(`${url}/stalling/${encodeURIComponent(name)}`, dataDir.dir, name, { timeout: 200, retries: 1, retryDelay: 10 });
+                assert.strictEqual(file, null);
+                // Only the final failure is an error, the failed attempts are warnings
+                assert.deepStrictEqual(scope.errors, [`Download of "${name}" failed after 2 attempts.`]);
+                assert.strictEqual(scope.warnings.filter(warning => /No data received/.test(warning)).length, 2);
+            });
+        } finally {
+            dataDir.remove();
+        }
+    });
+
+    await t.test('resolves the asset without downloading it', async () => {
+        const asset = await resolveAsset('latest', { source: url, lang: 'eng' });
+        assert.strictEqual(asset.name, `jmdict-eng-${tag}.json.tgz`);
+        assert.strictEqual(asset.isRemote, true);
+        assert.strictEqual(asset.size, assets[asset.name].length);
+    });
+
+    for (const [name, getSource] of [['directory', () => assetsDir.dir], ['archive', () => path.join(assetsDir.dir, `jmdict-eng-${tag}.json.tgz`)]]) {
+        await t.test(`unpacks a local ${name}`, async () => {
+            const dataDir = createTempDir();
+            try {
+                const result = await update('latest', { source: getSource(), lang: 'eng', dataDir: dataDir.dir, silent: true });
+                assert.strictEqual(result.success, true, result.errors.join('\n'));
+                assert.strictEqual(result.tag, tag);
+                assert.strictEqual(fs.readFileSync(result.path, 'utf8'), source);
+                // Local assets are kept
+                assert.ok(fs.existsSync(path.join(assetsDir.dir, `jmdict-eng-${tag}.json.tgz`)));
+            } finally {
+                dataDir.remove();
+            }
+        });
+    }
+});
@@ -0,0 +1,343 @@
+/// <reference types="node" />
+import type { Server } from 'http';
+import type { Readable, Writable } from 'stream';
+
+// ---------------------------------------------------------------------------------------------------------------------
+// Output format
+// ---------------------------------------------------------------------------------------------------------------------
+
+/** An entry of the `simple` profile, e.g. `simple.min.json`. */
+export interface SimpleWord {
+    /** The katakana spellings of the hiragana key. */
+    katakana: string[];
+    /** The kanji spellings of the hiragana key, in the order of the source dictionary. */
+    kanji: string[];
+}
+
+/** A kanji spelling of the `extended` profile. */
+export interface KanjiCandidate {
+    /** The kanji spelling. */
+    text: string;
+    /** True if the kanji spelling is common. */
+    common: boolean;
+    /** The parts of speech. */
+    pos: string[];
+    /** Up to three glosses. */
+    gloss: string[];
+}
+
+/** An entry of the `extended` profile, e.g. `extended.min.json`. */
+export interface ExtendedWord {
+    /** The katakana spellings of the hiragana key. */
+    katakana: string[];
+    /** The kanji spellings of the hiragana key, common kanji first. */
+    kanji: KanjiCandidate[];
+    /** True if the reading is common. */
+    common: boolean;
+    /** The parts of speech of the reading without kanji. */
+    pos: string[];
+    /** Up to three glosses of the reading without kanji. */
+    gloss: string[];
+}
+
+/** The JSON output of a profile. */
+export interface DictionaryData<Word = SimpleWord | ExtendedWord> {
+    /** The version of the source dictionary. */
+    version: string;
+    /** The date of the source dictionary. */
+    dictDate: string;
+    /** The entries by hiragana key. */
+    words: Record<string, Word>;
+    /** The optional romaji index, which maps the Hepburn romaji to the hiragana keys. */
+    romaji?: Record<string, string[]>;
+}
+
+/** The `index.json` of the shards of a dictionary, e.g. `simple.min.shards/index.json`. */
+export interface ShardIndex {
+    version: string;
+    dictDate: string;
+    profile: Profile;
+    /** The shards by the first character of their hiragana keys. Each shard file is a `DictionaryData` of the profile. */
+    shards: Record<string, { file: string; keys: number; size: number; sha256: string }>;
+}
+
+export type SimpleDictionaryData = DictionaryData<SimpleWord>;
+export type ExtendedDictionaryData = DictionaryData<ExtendedWord>;
+export type Profile = 'simple' | 'extended';
+
+// ---------------------------------------------------------------------------------------------------------------------
+// Logging and progress
+// ---------------------------------------------------------------------------------------------------------------------
+
+export interface ProgressEvent {
+    /** The phase of the call, e.g. "read", "write" or "download". */
+    phase: string;
+    [key: string]: unknown;
+}
+
+export interface ReadProgressEvent extends ProgressEvent {
+    phase: 'read';
+    /** The number of source entries read so far. */
+    entries: number;
+    /** The number of bytes read so far. */
+    bytes: number;
+    /** The size of the source file, undefined for streams. */
+    totalBytes?: number;
+}
+
+export interface WriteProgressEvent extends ProgressEvent, OutputFile {
+    phase: 'write';
+}
+
+export interface DownloadProgressEvent extends ProgressEvent {
+    phase: 'download';
+    /** The file name of the asset. */
+    file: string;
+    /** The number of bytes downloaded so far. */
+    bytes: number;
+    /** The size of the asset, if known. */
+    totalBytes?: number;
+}
+
+/** The options which are accepted by all functions which take an options object. */
+export interface ScopeOptions {
+    /** Does not write the messages of the call, they are only passed to the callbacks. Only needed if the logging was enabled with `configureLogging()`. */
+    silent?: boolean;
+    onProgress?: (event: ReadProgressEvent | WriteProgressEvent | DownloadProgressEvent | ProgressEvent) => void;
+    onWarning?: (message: string) => void;
+    onError?: (message: string) => void;
+}
+
+export interface Result {
+    success: boolean;
+    warnings: string[];
+    errors: string[];
+}
+
+/** Configures the logging of all modules. By default no messages are written. */
+export function configureLogging(options?: { silent?: boolean; quiet?: boolean; json?: boolean }): void;
+
+// ---------------------------------------------------------------------------------------------------------------------
+// Build, update and convert
+// ---------------------------------------------------------------------------------------------------------------------
+
+/** A source dictionary entry of jmdict-simplified, see `schema/jmdict-source.schema.json`. */
+export interface SourceEntry {
+    id: string;
+    kanji: Array<{ common: boolean; text: string; tags: string[] }>;
+    kana: Array<{ common: boolean; text: string; tags: string[]; appliesToKanji: string[] }>;
+    sense: Array<Record<string, unknown>>;
+    [key: string]: unknown;
+}
+
+export interface OutputFile {
+    type: 'json' | 'compact' | 'gzip' | 'brotli' | 'deflate' | 'shards' | 'stats' | 'sizes';
+    /** The path of the output file or null if it was written to a stream. For the shards it is the path of their index. */
+    path: string | null;
+    /** The size of the output in bytes, for the shards the total size of the index and the shard files. */
+    size: number;
+    /** The paths of the shard files. */
+    files?: string[];
+    /** The SHA-256 checksum of the output as hex string, except for the report files. */
+    sha256?: string;
+    /** The path of the checksum file, which is compatible with `sha256sum --check`. */
+    checksumPath?: string;
+}
+
+export interface Stats {
+    entries: number;
+    keys: number;
+    katakana: number;
+    kanji: number;
+    emptyKanji: number;
+}
+
+export interface FilterOptions {
+    /** Only keeps the readings and kanji spellings which are marked as common. */
+    commonOnly?: boolean;
+    /** Only keeps the entries which have at least one of the tags on a kanji, reading or sense (`misc`, `field` or `dialect`). */
+    tags?: string[];
+    /** Removes the kanji and readings with one of the tags and the entries whose senses all have one of the tags. */
+    excludeTags?: string[];
+    /** Removes the readings which are longer than the given number of kana. */
+    maxReadingLength?: number;
+    /** Only keeps the entries which contain one of the words as reading or kanji spelling. */
+    allowlist?: Iterable<string>;
+}
+
+export interface ConvertOptions extends ScopeOptions, FilterOptions {
+    profile?: Profile;
+    /** The language of the source dictionary, e.g. "eng", "ger" or "all". */
+    lang?: string;
+    romaji?: boolean;
+    /** Source entries for which the filter returns false are skipped. It is called before the other filter options. */
+    filter?: (entry: SourceEntry) => boolean;
+    dataDir?: string;
+    outDir?: string;
+    /** The path (relative to `outDir`) or the stream of the JSON output. */
+    output?: string | Writable;
+    gzip?: boolean | string | Writable;
+    /** The gzip compression level from 0 to 9. */
+    gzipLevel?: number;
+    /** Creates a Brotli compressed version with the maximum quality. */
+    brotli?: boolean | string | Writable;
+    /** Creates a raw deflate compressed version. */
+    deflate?: boolean | string | Writable;
+    /** The raw deflate compression level from 0 to 9. */
+    deflateLevel?: number;
+    compact?: boolean | string | Writable;
+    statsFile?: boolean | string;
+    sizesFile?: boolean | string;
+    /** Splits the output by the first character of the hiragana keys into a folder of files with an `index.json`. */
+    shards?: boolean | string;
+    /** Writes a ".sha256" checksum file next to each output file. Default is true. */
+    checksums?: boolean;
+}
+
+export interface ConvertResult extends Result {
+    version?: string;
+    dictDate?: string;
+    profile?: Profile;
+    lang?: string;
+    outputs: OutputFile[];
+    stats: Stats | null;
+}
+
+/**
+ * Converts a source dictionary. The input is a file name in the data folder, a path or a stream of the JSON data.
+ */
+export function convert(input: string | Readable, options?: ConvertOptions): Promise<ConvertResult>;
+
+export function createSimpleDictionary(
+    input: string | Readable,
+    options?: FilterOptions & { profile?: Profile; lang?: string; romaji?: boolean; filter?: (entry: SourceEntry) => boolean; stats?: object },
+): Promise<DictionaryData | null>;
+
+export const profiles: Record<Profile, { outputFileName: string; schemaFileName: string }>;
+
+export interface SourceAsset {
+    tag: string;
+    name: string;
+    size?: number;
+    digest?: string;
+    isRemote: boolean;
+    location: string;
+}
+
+export interface UpdateOptions extends ScopeOptions {
+    lang?: string;
+    /** The base URL of a GitHub API mirror, a local directory containing the assets or the path of an asset. */
+    source?: string;
+    asset?: SourceAsset;
+    dataDir?: string;
+}
+
+export interface UpdateResult extends Result {
+    tag?: string;
+    asset?: string;
+    /** The digest of the asset as "<algorithm>:<hex>", which is calculated if the release has none. */
+    digest?: string;
+    /** The file name of the source JSON file in the data folder. */
+    file: string | null;
+    path: string | null;
+}
+
+export function update(tag?: string, options?: UpdateOptions): Promise<UpdateResult>;
+export function resolveAsset(tag?: string, options?: { lang?: string; source?: string }): Promise<SourceAsset | null>;
+
+export interface BuildOptions extends ScopeOptions, FilterOptions {
+    profile?: Profile;
+    lang?: string;
+    source?: string;
+    romaji?: boolean;
+    force?: boolean;
+    filter?: (entry: SourceEntry) => boolean;
+    dataDir?: string;
+    outDir?: string;
+    gzip?: boolean;
+    gzipLevel?: number;
+    brotli?: boolean;
+    deflate?: boolean;
+    deflateLevel?: number;
+    shards?: boolean;
+}
+
+export interface BuildResult extends Result {
+    /** True if the build was skipped because it is up to date. */
+    upToDate: boolean;
+    tag?: string;
+    asset?: string;
+    outputs: OutputFile[];
+    stats: Stats | null;
+}
+
+export function build(tag?: string, options?: BuildOptions): Promise<BuildResult>;
+
+// ---------------------------------------------------------------------------------------------------------------------
+// Lookup
+// ---------------------------------------------------------------------------------------------------------------------
+
+export interface WordEntry {
+    katakana: string[];
+    kanji: Array<string | KanjiCandidate>;
+}
+
+export interface SearchResult extends WordEntry {
+    hiragana: string;
+}
+
+export interface Dictionary {
+    version: string;
+    dictDate: string;
+    size: number;
+    lookup(hiragana: string): WordEntry | null;
+    search(prefix: string, limit?: number): SearchResult[];
+    reverseLookup(text: string): string[];
+    romajiLookup(text: string): SearchResult[];
+}
+
+/** Loads a `.json`, `.json.gz` or compact `.bin` dictionary file. */
+export function load(filePath: string): Promise<Dictionary | null>;
+export function readDictionary(filePath: string): Promise<DictionaryData | null>;
+export function createDictionary(data: DictionaryData): Dictionary;
+export function encode(data: SimpleDictionaryData): Buffer;
+export function createReader(buffer: Buffer): Dictionary;
+
+// ---------------------------------------------------------------------------------------------------------------------
+// Diff and serve
+// ---------------------------------------------------------------------------------------------------------------------
+
+export interface Changes {
+    added: string[];
+    removed: string[];
+}
+
+export interface DiffReport {
+    from: { version: string; dictDate: string };
+    to: { version: string; dictDate: string };
+    summary: { added: number; removed: number; changed: number };
+    added: string[];
+    removed: string[];
+    changed: Record<string, { katakana: Changes; kanji: Changes }>;
+}
+
+export function diffFiles(oldFilePath: string, newFilePath: string): Promise<DiffReport | null>;
+export function diffTags(
+    oldTag: string,
+    newTag: string,
+    options?: { lang?: string; profile?: Profile; source?: string; dataDir?: string },
+): Promise<DiffReport | null>;
+export function diffDictionaries(oldData: DictionaryData, newData: DictionaryData): DiffReport;
+export function formatReport(report: DiffReport, limit?: number): string;
+
+export function serve(filePath?: string, options?: { port?: number; host?: string }): Promise<Server | null>;
+export function createServer(dictionary: Dictionary): Server;
+
+// ---------------------------------------------------------------------------------------------------------------------
+// Kana and romaji
+// ---------------------------------------------------------------------------------------------------------------------
+
+export function toHiragana(text: string): string;
+export function toKatakana(text: string): string;
+export function toKana(text: string): string;
+export function toRomaji(text: string, options?: { system?: 'hepburn' | 'kunrei'; macrons?: boolean }): string;